@@ -0,0 +1,34 @@
+// src/channels.js
+// Notification channels, configured once and routed per check or per group.
+// `${NAME}` placeholders are filled from env at send time; a channel whose
+// placeholders are unset is skipped, so unconfigured channels stay quiet.
+// `${NAME:-}` marks a placeholder as optional (empty when unset).
+//
+// Routing: check.notify (list of channel names) wins, then routes[check.group],
+// then routes["*"].
+
+export default {
+  channels: {
+    // generic JSON webhook (the original WEBHOOK_URL behaviour)
+    // (WEBHOOK_SECRET signs the body: X-Signature-256 = sha256=HMAC("<ts>.<body>"))
+    default: { type: "webhook", url: "${WEBHOOK_URL}", secret: "${WEBHOOK_SECRET:-}" },
+
+    slack: { type: "slack", url: "${SLACK_WEBHOOK_URL}" },
+    discord: { type: "discord", url: "${DISCORD_WEBHOOK_URL}" },
+    teams: { type: "teams", url: "${TEAMS_WEBHOOK_URL}" },
+    ntfy: { type: "ntfy", server: "${NTFY_SERVER}", topic: "${NTFY_TOPIC}" },
+
+    // plain SMTP against a local/relay mail server (no TLS)
+    email: {
+      type: "email",
+      host: "${SMTP_HOST}",
+      port: 25,
+      from: "scraper@localhost",
+      to: ["${ALERT_EMAIL}"]
+    }
+  },
+
+  routes: {
+    "*": ["default", "slack", "discord", "teams", "ntfy", "email"]
+  }
+};
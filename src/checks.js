@@ -1,5 +1,7 @@
 // src/checks.js
 // Groups: default, seo, price, compliance, stocks
+// Schedules are UTC cron or "every <n>m|h|d"; the workflow ticks every 16 minutes, so that is the finest cadence in CI.
+const EVERY_2H = "0 */2 * * *";
 
 export default [
   // --- sanity
@@ -7,12 +9,25 @@ export default [
     name: "example_h1",
     type: "page",
     group: "default",
+    schedule: EVERY_2H,
     url: "https://example.com/",
     fields: {
       heading: { selector: "h1", attr: "text" },
       moreInfoLink: { selector: "a[href*='iana.org']", attr: "href" }
     }
   },
+  {
+    name: "pikachu_product_visual",
+    type: "visual",
+    group: "price",
+    schedule: "every 6h",
+    url: "https://scrapeme.live/shop/Pikachu/",
+    // the product block only; review counts and the cart widget churn on their own
+    selector: "div.product",
+    mask: [".woocommerce-review-link", ".site-header-cart"],
+    viewport: { width: 1280, height: 900 },
+    threshold: 1
+  },
 
   // ======================
   // SEO / Content Ops
@@ -21,14 +36,17 @@ export default [
     name: "playstation_blog_sitemap_diff",
     type: "sitemap_diff",
     group: "seo",
+    schedule: EVERY_2H,
     url: "https://blog.playstation.com/sitemap_index.xml",
     limit: 800,
-    indexLimit: 12
+    indexLimit: 12,
+    alerts: [{ when: "above", key: "added", value: 0, label: "new posts" }]
   },
   {
     name: "nintendo_us_news_sitemap_diff",
     type: "sitemap_diff",
     group: "seo",
+    schedule: EVERY_2H,
     url: "https://noa-prod-graph-sitemaps.s3.amazonaws.com/nintendo.com/us/news/sitemap.xml",
     limit: 1200
   },
@@ -40,16 +58,69 @@ export default [
     name: "scrapeme_pikachu_price",
     type: "price",
     group: "price",
+    schedule: EVERY_2H,
     url: "https://scrapeme.live/shop/Pikachu/",
-    selector: "p.price span.woocommerce-Price-amount"
+    selector: "p.price span.woocommerce-Price-amount",
+    // a 1-cent wiggle stays quiet; big moves or a drop under 50 page us
+    alerts: [
+      { when: "pct_change", key: "price", over: 10 },
+      { when: "below", key: "price", value: 50 }
+    ]
+  },
+  {
+    // the whole first shop page; each product gets its own series under timeseries/<check>/items/
+    name: "scrapeme_shop_catalog",
+    type: "price",
+    group: "price",
+    schedule: EVERY_2H,
+    url: "https://scrapeme.live/shop/",
+    itemSelector: "li.product",
+    nameSelector: "h2.woocommerce-loop-product__title",
+    selector: "span.price ins .amount, span.price > .amount",
+    regularSelector: "span.price del .amount"
+  },
+  {
+    // the first three shop pages as records keyed by product URL: new, gone or repriced products
+    name: "scrapeme_shop_listing",
+    type: "page",
+    group: "price",
+    schedule: "every 6h",
+    url: "https://scrapeme.live/shop/",
+    list: {
+      item: "li.product",
+      key: "url",
+      fields: {
+        name: { selector: "h2.woocommerce-loop-product__title" },
+        url: { selector: "a.woocommerce-LoopProduct-link", attr: "href" },
+        price: { selector: "span.price" }
+      }
+    },
+    pagination: { next: "a.next.page-numbers", maxPages: 3 }
+  },
+  {
+    // same product via its schema.org JSON-LD (no selectors to break)
+    name: "scrapeme_pikachu_structured",
+    type: "structured_data",
+    group: "price",
+    schedule: EVERY_2H,
+    url: "https://scrapeme.live/shop/Pikachu/",
+    pick: {
+      name: "$.jsonld[?(@.@type=='Product')].name",
+      price: "$.jsonld[?(@.@type=='Product')].offers[0].price",
+      currency: "$.jsonld[?(@.@type=='Product')].offers[0].priceCurrency",
+      availability: "$.jsonld[?(@.@type=='Product')].offers[0].availability"
+    },
+    seriesKey: "price"
   },
   {
     name: "scrapeme_pikachu_availability",
     type: "availability",
     group: "price",
+    schedule: EVERY_2H,
     url: "https://scrapeme.live/shop/Pikachu/",
     selector: "p.stock",
-    availableRegex: "in stock"
+    availableRegex: "in stock",
+    alerts: [{ when: "becomes", key: "available", value: false }]
   },
 
   // ======================
@@ -60,21 +131,22 @@ export default [
     name: "psa_charizard_price_gem10",
     type: "psa_price_row",
     group: "price",
+    schedule: EVERY_2H,
     url: "https://www.psacard.com/priceguide/non-sports-tcg-card-values/1999-poke-mon-game/2432",
     rowMatch: "Charizard Holo 1st Edition", // tolerant token match
-    gradeCol: "GEM-MT 10",
-    ignoreKeys: ["raw", "mode"]
+    gradeCol: "GEM-MT 10"
   },
   {
     // POP: read “TOTAL” from the same row on the Pop Report set page
     name: "psa_charizard_pop_total",
     type: "psa_pop_row",
     group: "compliance",
+    schedule: EVERY_2H,
     url: "https://www.psacard.com/pop/tcg-cards/1999/pokemon-game/57801",
-    // Use the exact text you'll see on the page; hyphen/space differences are tolerated by the scraper
+    // Use the exact text you'll see on the page; hyphen/space differences are tolerated
     rowMatch: "Charizard-Holo 1st Edition",
     column: "TOTAL",
-    ignoreKeys: ["raw", "mode"]
+    alerts: [{ when: "increases", key: "population" }]
   },
 
   // ======================
@@ -84,21 +156,56 @@ export default [
     name: "sec_aapl_8k_list_hash",
     type: "content_watch",
     group: "compliance",
+    schedule: EVERY_2H,
     url: "https://www.sec.gov/edgar/browse/?CIK=0000320193&owner=exclude",
     selector: "body",
-    hashOnly: true,
+    // keep the text so a change says which filings appeared; ignore sub-0.5% churn
+    snapshot: true,
+    minChangePct: 0.5,
     stripPatterns: ["\\b\\d{1,2}:\\d{2}:\\d{2}\\b","\\bPage\\s*\\d+\\b"]
   },
 
   // ======================
-  // Stocks (Alpha Vantage GLOBAL_QUOTE)
+  // JSON APIs
+  // ======================
+  {
+    // public endpoint; the workflow's GITHUB_TOKEN only lifts the rate limit
+    name: "github_playwright_repo",
+    type: "json_api",
+    group: "default",
+    schedule: "every 6h",
+    url: "https://api.github.com/repos/microsoft/playwright",
+    headers: { "X-GitHub-Api-Version": "2022-11-28" },
+    auth: { type: "bearer", token: "${GITHUB_TOKEN:-}" },
+    fields: {
+      stars: "$.stargazers_count",
+      forks: "$.forks_count",
+      openIssues: "$.open_issues_count",
+      pushedAt: "/pushed_at"
+    },
+    seriesKey: "stars",
+    ignoreKeys: ["pushedAt"]
+  },
+
+  // ======================
+  // Stocks (Alpha Vantage GLOBAL_QUOTE by default; see src/providers/)
   // ======================
   {
     name: "stock_ntdoy_global_quote",
     type: "stock_quote",
     group: "stocks",
+    schedule: "*/16 * * * *",
     url: "https://www.alphavantage.co/documentation/#latestprice",
-    symbol: "NTDOY",
-    ignoreKeys: ["raw"]
+    symbol: "NTDOY"
+  },
+  {
+    // several tickers in one call (Stooq CSV, no key); one series per symbol
+    name: "stock_gaming_basket",
+    type: "stock_quote",
+    group: "stocks",
+    schedule: "*/16 * * * *",
+    provider: "stooq",
+    symbols: ["NTDOY", "SONY", "TTWO"],
+    url: "https://stooq.com/"
   }
 ];
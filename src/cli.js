@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// src/cli.js
+// Local entrypoint:
+//   node src/cli.js run [--check <name>]... [--group <g>] [--due] [--dry-run]
+//   node src/cli.js list [--group <g>]
+//   node src/cli.js due [--group <g>] [--json]
+//   node src/cli.js daemon [--group <g>] [--tick <seconds>]
+//   node src/cli.js show <name> [--history <n>]
+//   node src/cli.js validate
+//   node src/cli.js record <name>...
+//   node src/cli.js compact [--check <name>]... [--group <g>]
+//   node src/cli.js merge <dir>... [--into <dir>]
+//   node src/cli.js runs [--limit <n>]
+import { promises as fsp } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import checks from "./checks.js";
+import { root, FAIL_ON_ERROR } from "./lib/config.js";
+import { exists, readJson, writeJson } from "./lib/fsutil.js";
+import { setFixtureMode, expectedPath } from "./lib/fixtures.js";
+import { closeBrowser } from "./lib/browser.js";
+import { fmtChange } from "./lib/diff.js";
+import { isDue, nextRunAt } from "./lib/schedule.js";
+import { ConfigError } from "./lib/errors.js";
+import { validateConfig, ensurePlugins } from "./registry.js";
+import { validateChannels } from "./notify/index.js";
+import { run, extractCheck, selectChecks } from "./runner.js";
+import { compactSeries, seriesBases, retentionFor } from "./lib/timeseries.js";
+import { mergeResults } from "./lib/merge.js";
+
+const USAGE = `Usage: node src/cli.js <command> [options]
+
+Commands:
+  run        run checks (writes data/, may notify)
+               --check <name>   only this check (repeatable)
+               --group <group>  only this group (default: GROUP env, else all)
+               --due            only checks whose schedule is due
+               --dry-run        print extracted data + diff; write nothing, notify nobody
+               --replay         serve every request from test/fixtures (no network)
+  list       configured checks with schedule and last status [--group <group>]
+  due        checks due to run now [--group <group>] [--json: { groups, checks } for CI]
+  daemon     keep running due checks until stopped [--group <group>] [--tick <seconds>, default 60]
+  show <n>   latest record plus recent history for one check [--history <count>]
+  validate   check src/checks.js and src/channels.js
+  record <n> fetch live, save HTTP fixtures + expected data for the test suite (names repeatable)
+  compact    rebuild time-series rollups and apply retention in data/ and docs/data/
+               [--check <name>]... [--group <group>]
+  merge <d>  merge per-group result dirs (CI artifacts) into one data dir and rebuild
+             report.json (dirs repeatable) [--into <dir>, default data]
+  runs       recent runs from data/runs/index.json [--limit <n>, default 20]`;
+
+/** Local results first (data/), then the published copy (docs/data/) */
+const DATA_DIRS = [path.join(root, "data"), path.join(root, "docs", "data")];
+
+async function readLatest(name) {
+  for (const dir of DATA_DIRS) {
+    const rec = await readJson(path.join(dir, "latest", `${name}.json`));
+    if (rec) return rec;
+  }
+  return null;
+}
+async function historyDirFor(name) {
+  for (const dir of DATA_DIRS) {
+    const p = path.join(dir, "history", name);
+    if (await exists(p)) return p;
+  }
+  return null;
+}
+
+function table(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  return rows.map(r => r.map((c, i) => String(c).padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+function statusOf(latest) {
+  if (!latest) return "never run";
+  const h = latest.health;
+  if (latest.error && h) return `${h.status} (${h.consecutiveFailures}× ${h.errorKind}): ${latest.error.split("\n")[0].slice(0, 80)}`;
+  if (latest.error) return `error: ${latest.error.split("\n")[0].slice(0, 80)}`;
+  return "ok";
+}
+
+async function cmdRun(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      check: { type: "string", multiple: true },
+      group: { type: "string" },
+      due: { type: "boolean" },
+      "dry-run": { type: "boolean" },
+      replay: { type: "boolean" }
+    }
+  });
+  if (values.replay) setFixtureMode("replay");
+  const { hadError } = await run({
+    group: values.group ?? undefined,
+    names: values.check || [],
+    due: !!values.due,
+    dryRun: !!values["dry-run"]
+  });
+  return hadError && FAIL_ON_ERROR ? 1 : 0;
+}
+
+async function cmdList(args) {
+  const { values } = parseArgs({ args, options: { group: { type: "string" } } });
+  const now = new Date();
+  const rows = [["NAME", "TYPE", "GROUP", "SCHEDULE", "LAST RUN", "NEXT RUN", "STATUS"]];
+  for (const c of checks.filter(c => !values.group || c.group === values.group)) {
+    const latest = await readLatest(c.name);
+    const next = nextRunAt(c.schedule, latest?.checkedAt, now);
+    rows.push([c.name, c.type, c.group || "—", c.schedule || "every run", latest?.checkedAt || "—",
+      !next ? "never" : next <= now ? "due" : next.toISOString(), statusOf(latest)]);
+  }
+  console.log(table(rows));
+  return 0;
+}
+
+async function cmdDue(args) {
+  const { values } = parseArgs({ args, options: { group: { type: "string" }, json: { type: "boolean" } } });
+  const now = new Date();
+  const due = [];
+  for (const c of checks.filter(c => !values.group || c.group === values.group)) {
+    if (isDue(c.schedule, (await readLatest(c.name))?.checkedAt, now)) due.push(c);
+  }
+  if (values.json) {
+    const groups = [...new Set(due.map(c => c.group).filter(Boolean))].sort();
+    console.log(JSON.stringify({ groups, checks: due.map(c => c.name) }));
+  } else {
+    console.log(due.length ? due.map(c => `${c.name}  (${c.schedule || "every run"})`).join("\n") : "nothing due");
+  }
+  return 0;
+}
+
+/** Run due checks on every tick until SIGINT/SIGTERM; a run in progress is allowed to finish */
+async function cmdDaemon(args) {
+  const { values } = parseArgs({ args, options: { group: { type: "string" }, tick: { type: "string", default: "60" } } });
+  const tickMs = Math.max(5, Number(values.tick) || 60) * 1000;
+  let stopping = false;
+  let timer = null; let wake = null;
+  const stop = () => {
+    if (stopping) return;
+    stopping = true;
+    console.log("[daemon] stopping after the current run");
+    clearTimeout(timer); wake?.();
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  console.log(`[daemon] checking schedules every ${tickMs / 1000}s (Ctrl-C to stop)`);
+  while (!stopping) {
+    try {
+      // a manifest per idle minute would push the real runs out of the index
+      await run({ group: values.group ?? undefined, due: true, idleManifest: false });
+    } catch (e) {
+      if (e.name === "ConfigError") throw e; // checks.js is loaded once; retrying can't fix it
+      console.error(`[daemon] run failed: ${String(e)}`);
+    }
+    if (stopping) break;
+    // sleep to the next tick boundary so runs line up with minute-based cron schedules
+    await new Promise(r => { wake = r; timer = setTimeout(r, tickMs - (Date.now() % tickMs)); });
+  }
+  return 0;
+}
+
+async function cmdShow(args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { history: { type: "string", default: "5" } } });
+  const name = positionals[0];
+  if (!name) { console.error("show: missing check name"); return 2; }
+  const check = checks.find(c => c.name === name);
+  if (!check) { console.error(`show: unknown check "${name}"`); return 2; }
+
+  const latest = await readLatest(name);
+  console.log(`# ${name} (${check.type}, group ${check.group || "—"}) — ${statusOf(latest)}`);
+  console.log(JSON.stringify(latest, null, 2));
+
+  const histDir = await historyDirFor(name);
+  const files = histDir
+    ? (await fsp.readdir(histDir)).filter(f => f.endsWith(".json")).sort().slice(-Number(values.history))
+    : [];
+  console.log(`\n# history (${files.length} most recent)`);
+  for (const f of files.reverse()) {
+    const rec = await readJson(path.join(histDir, f));
+    const changes = (rec?.diff || []).map(d => `${d.path}: ${fmtChange(d, 80)}`);
+    console.log(`- ${rec?.checkedAt || f}${changes.length ? "\n    " + changes.join("\n    ") : ""}`);
+  }
+  return 0;
+}
+
+async function cmdValidate() {
+  const problems = [...await validateConfig(checks), ...validateChannels(checks)];
+  if (problems.length) {
+    console.error(`✗ ${new ConfigError(problems).message}`);
+    return 1;
+  }
+  console.log(`✓ ${checks.length} checks OK`);
+  return 0;
+}
+
+/** Capture fixtures for checks and store what they extract as the test expectation */
+async function cmdRecord(args) {
+  const { positionals } = parseArgs({ args, allowPositionals: true, options: {} });
+  if (!positionals.length) { console.error("record: name at least one check"); return 2; }
+  setFixtureMode("record");
+  // plugin types register on load; run() gets them through validateConfig
+  await ensurePlugins();
+  let failed = 0;
+  try {
+    for (const check of selectChecks({ group: "", names: positionals })) {
+      try {
+        const data = await extractCheck(check);
+        await writeJson(expectedPath(check.name), data);
+        console.log(`[record] ${check.name} -> ${path.relative(root, expectedPath(check.name))}`);
+      } catch (e) {
+        failed++;
+        console.error(`[record] ${check.name} ERROR: ${String(e)}`);
+      }
+    }
+  } finally {
+    await closeBrowser();
+  }
+  return failed ? 1 : 0;
+}
+
+/** Rebuild hourly/daily rollups from raw points and drop points past retention */
+async function cmdCompact(args) {
+  const { values } = parseArgs({ args, options: { check: { type: "string", multiple: true }, group: { type: "string" } } });
+  const rows = [["series", "raw", "hourly", "daily"]];
+  for (const check of selectChecks({ group: values.group ?? "", names: values.check ?? [] })) {
+    const retention = retentionFor(check);
+    for (const dir of DATA_DIRS) {
+      for (const base of await seriesBases(path.join(dir, "timeseries", check.name))) {
+        const counts = await compactSeries(base, { retention });
+        rows.push([path.relative(root, base), ...["raw", "hourly", "daily"].map(k => `${counts[k][0]} → ${counts[k][1]}`)]);
+      }
+    }
+  }
+  console.log(rows.length > 1 ? table(rows) : "no time series to compact");
+  return 0;
+}
+
+/** Merge per-group result dirs deterministically (see src/lib/merge.js) */
+async function cmdMerge(args) {
+  const { values, positionals } = parseArgs({ args, allowPositionals: true, options: { into: { type: "string", default: "data" } } });
+  if (!positionals.length) { console.error("merge: name at least one result dir"); return 2; }
+  const missing = [];
+  for (const dir of positionals) if (!(await exists(dir))) missing.push(dir);
+  if (missing.length) { console.error(`merge: no such dir: ${missing.join(", ")}`); return 2; }
+  const counts = await mergeResults(path.resolve(values.into), positionals.map(d => path.resolve(d)));
+  console.log(`[merge] ${positionals.length} dir(s) -> ${values.into}: ${Object.entries(counts).map(([k, n]) => `${k} ${n}`).join(", ")}`);
+  return 0;
+}
+
+/** Recent run manifests, newest first */
+async function cmdRuns(args) {
+  const { values } = parseArgs({ args, options: { limit: { type: "string", default: "20" } } });
+  let index = null;
+  for (const dir of DATA_DIRS) {
+    index = await readJson(path.join(dir, "runs", "index.json"));
+    if (index) break;
+  }
+  const runs = (index?.runs || []).slice(0, Number(values.limit));
+  if (!runs.length) { console.log("no runs recorded yet"); return 0; }
+  const rows = [["id", "groups", "took", "changed", "errors", "skipped", "commit"]];
+  for (const r of runs) {
+    rows.push([r.id, r.groups?.join(",") || r.group, `${((r.durationMs ?? 0) / 1000).toFixed(1)}s`,
+      r.counts.changed, r.counts.errors, r.counts.skipped, r.gitSha?.slice(0, 7) || "—"]);
+  }
+  console.log(table(rows));
+  return 0;
+}
+
+const commands = { run: cmdRun, list: cmdList, due: cmdDue, daemon: cmdDaemon, show: cmdShow, validate: cmdValidate, record: cmdRecord, compact: cmdCompact, merge: cmdMerge, runs: cmdRuns };
+
+const [cmd, ...rest] = process.argv.slice(2);
+if (!commands[cmd]) {
+  console.error(USAGE);
+  process.exit(cmd ? 2 : 0);
+}
+try {
+  process.exitCode = await commands[cmd](rest);
+} catch (e) {
+  console.error(e.name === "ConfigError" ? e.message : String(e));
+  process.exitCode = 1;
+}
@@ -0,0 +1,129 @@
+// src/lib/alerts.js
+import { getPath, numOrNull } from "./util.js";
+
+/* ================================
+   alert rules
+   Declared per check as `alerts: [ { when, key, ... } ]`:
+     { when: "below",      key: "price", value: 20 }
+     { when: "above",      key: "added", value: 0 }          // arrays compare by length
+     { when: "pct_change", key: "price", over: 10, direction: "down", vs: "previous" | "series", window: 24 }
+     { when: "becomes",    key: "available", value: false }
+     { when: "increases",  key: "population", by: 1 }
+     { when: "decreases",  key: "population" }
+     { when: "changed",    key: "heading" }                  // key optional: any change
+   Threshold rules (below/above) fire when the condition holds and either
+   just became true or the value moved, so a flat value doesn't re-page.
+   A check without `alerts` behaves like [{ when: "changed" }].
+=================================== */
+export const ALERT_RULES = ["below", "above", "pct_change", "becomes", "increases", "decreases", "changed"];
+const NEEDS_KEY = ["below", "above", "pct_change", "becomes", "increases", "decreases"];
+
+export const alertSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      when: { type: "string", required: true, enum: ALERT_RULES },
+      key: { type: "string" },
+      value: {},
+      over: { type: "number" },
+      by: { type: "number" },
+      direction: { type: "string", enum: ["up", "down", "any"] },
+      vs: { type: "string", enum: ["previous", "series"] },
+      window: { type: "number" },
+      label: { type: "string" }
+    },
+    validate(rule) {
+      const out = [];
+      if (NEEDS_KEY.includes(rule.when) && typeof rule.key !== "string") out.push({ path: "key", message: `is required for "${rule.when}"` });
+      if ((rule.when === "below" || rule.when === "above") && typeof rule.value !== "number") out.push({ path: "value", message: `must be a number for "${rule.when}"` });
+      if (rule.when === "becomes" && rule.value === undefined) out.push({ path: "value", message: `is required for "becomes"` });
+      if (rule.when === "pct_change" && typeof rule.over !== "number") out.push({ path: "over", message: `must be a number for "pct_change"` });
+      return out;
+    }
+  }
+};
+
+/** Numbers as-is, arrays by length, booleans as 0/1 */
+function numeric(v) {
+  if (Array.isArray(v)) return v.length;
+  if (typeof v === "boolean") return v ? 1 : 0;
+  return numOrNull(v);
+}
+const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+const fmt = (v) => (typeof v === "number" ? String(Math.round(v * 10000) / 10000) : JSON.stringify(v));
+
+function evaluateRule(rule, { data, prevData, changedKeys, series }) {
+  const cur = rule.key ? getPath(data, rule.key) : undefined;
+  const old = rule.key ? getPath(prevData, rule.key) : undefined;
+  const moved = rule.key ? JSON.stringify(cur) !== JSON.stringify(old) : changedKeys.length > 0;
+  const n = numeric(cur);
+  const p = numeric(old);
+
+  switch (rule.when) {
+    case "below":
+    case "above": {
+      if (n === null) return null;
+      const holds = (x) => x !== null && (rule.when === "below" ? x < rule.value : x > rule.value);
+      if (!holds(n) || (holds(p) && !moved)) return null;
+      return `${rule.key} ${rule.when} ${rule.value} (now ${fmt(n)})`;
+    }
+    case "pct_change": {
+      const vsSeries = rule.vs === "series";
+      const windowed = vsSeries ? series.slice(-(rule.window || 24)) : [];
+      const base = vsSeries ? (windowed.length ? mean(windowed) : null) : p;
+      if (n === null || base === null || base === 0) return null;
+      const pct = ((n - base) / Math.abs(base)) * 100;
+      const dir = rule.direction || "any";
+      if (dir === "up" && pct < rule.over) return null;
+      if (dir === "down" && pct > -rule.over) return null;
+      if (dir === "any" && Math.abs(pct) < rule.over) return null;
+      const against = vsSeries ? `${windowed.length}-point average ${fmt(base)}` : `previous ${fmt(base)}`;
+      return `${rule.key} moved ${pct >= 0 ? "+" : ""}${pct.toFixed(2)}% vs ${against} (now ${fmt(n)})`;
+    }
+    case "becomes": {
+      if (!moved || JSON.stringify(cur) !== JSON.stringify(rule.value)) return null;
+      return `${rule.key} became ${fmt(cur)} (was ${fmt(old)})`;
+    }
+    case "increases":
+    case "decreases": {
+      if (n === null || p === null) return null;
+      const delta = n - p;
+      const by = rule.by ?? 0;
+      if (rule.when === "increases" ? delta <= by : -delta <= by) return null;
+      return `${rule.key} ${rule.when === "increases" ? "increased" : "decreased"} ${fmt(p)} → ${fmt(n)}`;
+    }
+    case "changed": {
+      if (!moved) return null;
+      return rule.key ? `${rule.key} changed ${fmt(old)} → ${fmt(cur)}` : `changed (${changedKeys.join(", ")})`;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Evaluate a check's rules against the new data, the previous record and the
+ * recent series values (oldest → newest, current point excluded).
+ * Returns the rules that fired: [{ rule, message }].
+ */
+export function evaluateAlerts(check, { data, prev, changedKeys = [], series = [] }) {
+  const rules = Array.isArray(check.alerts) ? check.alerts : [{ when: "changed" }];
+  const ctx = { data, prevData: prev?.data, changedKeys, series };
+  const fired = [];
+  for (const rule of rules) {
+    const message = evaluateRule(rule, ctx);
+    if (message) fired.push({ rule, message: rule.label ? `${rule.label}: ${message}` : message });
+  }
+  return fired;
+}
+
+/** Whether a rule is about the series key; keyless rules aren't about any one key */
+export function ruleReadsKey(rule, key) {
+  return typeof key === "string" && rule?.key === key;
+}
+
+/** Only rules comparing against the stored series need it loaded */
+export function alertsNeedSeries(check) {
+  return Array.isArray(check.alerts) && check.alerts.some(r => r.when === "pct_change" && r.vs === "series");
+}
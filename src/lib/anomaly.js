@@ -0,0 +1,107 @@
+// src/lib/anomaly.js
+
+/* ================================
+   anomaly detection on a check's series value
+   Each new value is scored against the last `window` raw points (default 30):
+     method "mad"     robust z = 0.6745 · (x − median) / MAD   (default)
+     method "zscore"  (x − mean) / standard deviation
+   |score| ≥ threshold (default 3.5) flags it, once there are minPoints (default 10).
+   A flat window has no spread, so it can't score; glitches are caught regardless,
+   after 3 points: a 0 where the window has none ("zero"), a sign flip of an
+   always-positive series ("sign"), or a value ~100× off the median ("scale",
+   e.g. a misread decimal mark). A window that stays within 0..1 is a flag or a
+   ratio, where 0 is a normal reading, so it has no zero glitch.
+   `anomaly: { suppress }` keeps flagged values out of the series: "glitches"
+   (default), "all" or "none". `notify: false` keeps the alert quiet; `anomaly: false`
+   turns detection off for the check. Types whose series is a flag or a diff ratio
+   (availability, visual) declare `anomaly: false`, so there it is opt-in.
+=================================== */
+export const ANOMALY_DEFAULTS = { method: "mad", window: 30, threshold: 3.5, minPoints: 10, suppress: "glitches", notify: true };
+const GLITCH_MIN_POINTS = 3;
+const SCALE_FACTOR = 100;
+
+export const anomalySchema = {
+  type: ["boolean", "object"],
+  properties: {
+    method: { type: "string", enum: ["mad", "zscore"] },
+    window: { type: "number" },
+    threshold: { type: "number" },
+    minPoints: { type: "number" },
+    suppress: { type: "string", enum: ["glitches", "all", "none"] },
+    notify: { type: "boolean" }
+  }
+};
+
+/** Detection settings for a check, or null when it (or its type, by default) turns it off */
+export function anomalyOptions(check, def = null) {
+  const setting = check.anomaly ?? def?.anomaly;
+  if (setting === false) return null;
+  return { ...ANOMALY_DEFAULTS, ...(typeof setting === "object" ? setting : {}) };
+}
+
+const round = (x) => Math.round(x * 100) / 100;
+function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+function glitchOf(value, recent, center) {
+  const bounded = recent.every(v => v >= 0 && v <= 1);
+  if (value === 0 && !bounded && center !== 0 && !recent.includes(0)) return "zero";
+  if (value < 0 && recent.every(v => v > 0)) return "sign";
+  if (value !== 0 && center > 0 && value > 0) {
+    const ratio = value / center;
+    if (ratio >= SCALE_FACTOR || ratio <= 1 / SCALE_FACTOR) return "scale";
+  }
+  return null;
+}
+
+/** { score, center, spread } — score null when the window has no spread */
+function scoreOf(value, recent, method) {
+  if (method === "zscore") {
+    const mean = recent.reduce((a, b) => a + b, 0) / recent.length;
+    const sd = Math.sqrt(recent.reduce((a, v) => a + (v - mean) ** 2, 0) / recent.length);
+    return { score: sd ? (value - mean) / sd : null, center: mean, spread: sd };
+  }
+  const center = median(recent);
+  const mad = median(recent.map(v => Math.abs(v - center)));
+  return { score: mad ? (0.6745 * (value - center)) / mad : null, center, spread: mad };
+}
+
+/**
+ * Score `value` against `history` (oldest → newest, current point excluded).
+ * Returns null when there is too little history, else
+ * { value, score, method, median | mean, window, flagged, glitch?, suppressed }.
+ */
+export function detectAnomaly(value, history, opts = ANOMALY_DEFAULTS) {
+  const o = { ...ANOMALY_DEFAULTS, ...opts };
+  const recent = history.slice(-o.window);
+  if (typeof value !== "number" || recent.length < GLITCH_MIN_POINTS) return null;
+
+  const { score, center } = scoreOf(value, recent, o.method);
+  const glitch = glitchOf(value, recent, median(recent));
+  const scored = recent.length >= o.minPoints && score !== null;
+  if (!scored && !glitch) return null;
+
+  const flagged = Boolean(glitch) || Math.abs(score) >= o.threshold;
+  const out = {
+    value,
+    score: scored ? round(score) : null,
+    method: o.method,
+    [o.method === "zscore" ? "mean" : "median"]: round(center),
+    window: recent.length,
+    flagged
+  };
+  if (glitch) out.glitch = glitch;
+  out.suppressed = flagged && (o.suppress === "all" || (o.suppress === "glitches" && Boolean(glitch)));
+  return out;
+}
+
+/** One-line description for alerts and reports */
+export function anomalyMessage(a) {
+  const what = a.glitch
+    ? `${a.glitch} glitch`
+    : `score ${a.score} vs ${a.window}-point ${a.method === "zscore" ? `mean ${a.mean}` : `median ${a.median}`}`;
+  return `anomalous value ${a.value} (${what})${a.suppressed ? ", kept out of the series" : ""}`;
+}
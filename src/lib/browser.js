@@ -0,0 +1,92 @@
+// src/lib/browser.js
+import { chromium } from "playwright";
+import { REALISTIC_UA, GOTO_WAIT_UNTIL, NAV_TIMEOUT_MS } from "./config.js";
+import { withRetry } from "./util.js";
+import { fixtureMode, loadFixture, saveFixture } from "./fixtures.js";
+
+/* ================================
+   Playwright: one shared browser per run, isolated context per page
+=================================== */
+let sharedBrowser = null;
+function getBrowser() {
+  if (!sharedBrowser) {
+    sharedBrowser = chromium.launch({ headless: true });
+    // don't cache a failed launch; the next check gets a fresh attempt
+    sharedBrowser.catch(() => { sharedBrowser = null; });
+  }
+  return sharedBrowser;
+}
+
+/** Close the shared browser (end of run); safe to call when none was launched */
+export async function closeBrowser() {
+  if (!sharedBrowser) return;
+  const pending = sharedBrowser;
+  sharedBrowser = null;
+  const browser = await pending.catch(() => null);
+  await browser?.close();
+}
+
+/**
+ * Fresh isolated page; `media: true` lets images/fonts load (screenshots), `viewport` overrides
+ * the size, `storageState` restores saved cookies/localStorage (see lib/steps.js)
+ */
+export async function newPage({ media = false, viewport = { width: 1366, height: 900 }, storageState } = {}) {
+  const browser = await getBrowser();
+  const context = await browser.newContext({
+    userAgent: REALISTIC_UA,
+    locale: "en-US",
+    viewport,
+    ...(storageState ? { storageState } : {})
+  });
+
+  // block heavy non-critical resources; record/replay everything else when fixtures are on
+  await context.route("**/*", async (route) => {
+    const req = route.request();
+    const rt = req.resourceType();
+    if (!media && (rt === "image" || rt === "media" || rt === "font")) return route.abort();
+    const mode = fixtureMode();
+    if (mode === "replay") {
+      const f = await loadFixture(req.method(), req.url(), req.postData() ?? undefined);
+      return f ? route.fulfill({ status: f.status, headers: f.headers, body: f.body }) : route.abort();
+    }
+    if (mode === "record") {
+      const response = await route.fetch();
+      await saveFixture({ method: req.method(), url: req.url(), requestBody: req.postData() ?? undefined, status: response.status(), headers: response.headers(), body: await response.body() });
+      return route.fulfill({ response });
+    }
+    return route.continue();
+  });
+
+  const page = await context.newPage();
+  page.setDefaultTimeout(NAV_TIMEOUT_MS);
+  const close = () => context.close();
+  return { browser, context, page, close };
+}
+
+export async function gotoSafely(page, url) {
+  await withRetry("page.goto", () =>
+    page.goto(url, { waitUntil: GOTO_WAIT_UNTIL, timeout: NAV_TIMEOUT_MS })
+  );
+}
+
+/* ================================
+   DOM table helpers
+=================================== */
+/** Every table matching `selector` as { headers, rows, size }; header-less tables use their first row */
+export async function scrapeTablesMatrix(page, selector = "table") {
+  await page.waitForSelector(selector);
+  await page.waitForFunction((sel) => {
+    const rows = Array.from(document.querySelectorAll(sel)).flatMap(t => Array.from(t.querySelectorAll("tbody tr")));
+    return rows.length > 20;
+  }, selector, { timeout: 15000 }).catch(() => {});
+  return await page.evaluate((sel) => {
+    function grab(tbl) {
+      let headers = Array.from(tbl.querySelectorAll("thead th, thead td")).map(th => th.innerText.trim());
+      let rows = Array.from(tbl.querySelectorAll("tbody tr"))
+        .map(tr => Array.from(tr.querySelectorAll("th,td")).map(td => td.innerText.trim()));
+      if (!headers.length && rows.length) { headers = rows[0]; rows = rows.slice(1); }
+      return { headers, rows, size: tbl.innerText.length };
+    }
+    return Array.from(document.querySelectorAll(sel)).map(grab);
+  }, selector);
+}
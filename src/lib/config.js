@@ -0,0 +1,25 @@
+// src/lib/config.js
+/* ================================
+   Config (env-driven)
+=================================== */
+export const root = process.cwd();
+export const REALISTIC_UA =
+  process.env.USER_AGENT ||
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36";
+
+export const FAIL_ON_ERROR = process.env.FAIL_ON_ERROR === "1";
+export const GROUP = process.env.GROUP || "";
+/** Only run checks whose `schedule` says they are due (scheduled workflow ticks) */
+export const DUE_ONLY = process.env.DUE_ONLY === "1";
+export const GOTO_WAIT_UNTIL = process.env.GOTO_WAIT_UNTIL || "domcontentloaded";
+export const NAV_TIMEOUT_MS = Number(process.env.NAV_TIMEOUT_MS || 45000);
+
+/** How many checks run at once, and how many of those may hit the same host */
+export const CONCURRENCY = Math.max(1, Number(process.env.CONCURRENCY || 1));
+export const HOST_CONCURRENCY = Math.max(1, Number(process.env.HOST_CONCURRENCY || 1));
+
+/** Where teams can drop their own check-type modules (see plugins/README.md) */
+export const PLUGINS_DIR = process.env.PLUGINS_DIR || "plugins";
+
+/** 🔐 keep your secret name exactly */
+export const ALPHAVANTAGE_KEY = process.env.ALPHAVANTAGE_KEY || "";
@@ -0,0 +1,152 @@
+// src/lib/diff.js
+/* ================================
+   normalize + diff
+=================================== */
+export function normalizeValue(v) {
+  if (typeof v === "string") {
+    const trimmed = v.replace(/\s+/g, " ").trim();
+    const num = trimmed.replace(/[^\d.,-]/g, "");
+    if (/\d/.test(num)) {
+      const n = Number(num.replace(/,/g, ""));
+      if (!Number.isNaN(n)) return n;
+    }
+    return trimmed;
+  }
+  if (Array.isArray(v)) return v.map(normalizeValue).sort();
+  if (v && typeof v === "object") {
+    const out = {};
+    for (const k of Object.keys(v).sort()) out[k] = normalizeValue(v[k]);
+    return out;
+  }
+  return v;
+}
+/** Changed top-level keys (see diffDetails for the per-path detail) */
+export function simpleDiff(a, b, ignore = []) {
+  return changedKeysOf(diffDetails(a, b, ignore));
+}
+
+/* ================================
+   structured diff
+   diffDetails(prev, next) → [
+     { key, path: "price",         op: "changed", before: 63, after: 40 },
+     { key, path: "fields.title",  op: "added",   after: "New" },
+     { key, path: "meta.old",      op: "removed", before: "x" },
+     { key, path: "added",         op: "array",   added: [...], removed: [...] },
+     { key, path: "items[sku-1].price", op: "changed", before: "£63", after: "£40" }
+   ]
+   `key` is the top-level data key (what changedKeys lists); equality uses
+   normalizeValue() so it agrees with simpleDiff, but values are reported raw.
+   arrayKeys ({ items: "sku" }) names the record field that identifies members of an
+   array of records: members are matched by it, so an edited record is reported field by
+   field instead of as one removal plus one addition, and order doesn't matter.
+=================================== */
+const same = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const joinPath = (base, k) => (base ? `${base}.${k}` : String(k));
+
+function diffArrays(a, b, p, key, out) {
+  const A = new Map(a.map(x => [JSON.stringify(normalizeValue(x)), x]));
+  const B = new Map(b.map(x => [JSON.stringify(normalizeValue(x)), x]));
+  const added = [...B.keys()].filter(k => !A.has(k)).map(k => B.get(k));
+  const removed = [...A.keys()].filter(k => !B.has(k)).map(k => A.get(k));
+  if (added.length || removed.length) out.push({ key, path: p, op: "array", added, removed });
+  // same members, different multiplicity
+  else out.push({ key, path: p, op: "changed", before: a, after: b });
+}
+
+function diffKeyedArrays(a, b, p, key, field, opts, out) {
+  // members without the key field fall back to their content
+  const id = (x) => (isPlainObject(x) && x[field] != null ? String(x[field]) : JSON.stringify(normalizeValue(x)));
+  const A = new Map(a.map(x => [id(x), x]));
+  const B = new Map(b.map(x => [id(x), x]));
+  const added = [...B.keys()].filter(k => !A.has(k)).map(k => B.get(k));
+  const removed = [...A.keys()].filter(k => !B.has(k)).map(k => A.get(k));
+  if (added.length || removed.length) out.push({ key, path: p, op: "array", keyField: field, added, removed });
+  for (const [k, x] of A) {
+    const y = B.get(k);
+    if (y === undefined || same(x, y)) continue;
+    if (!isPlainObject(x) || !isPlainObject(y)) { out.push({ key, path: `${p}[${k}]`, op: "changed", before: x, after: y }); continue; }
+    for (const f of [...new Set([...Object.keys(x), ...Object.keys(y)])].sort()) {
+      // ignoreKeys name record fields without the member key: "items.stock"
+      if (opts.ignore.includes(`${p}.${f}`)) continue;
+      walk(x[f], y[f], `${p}[${k}].${f}`, key, opts, out);
+    }
+  }
+}
+
+function walk(a, b, p, key, opts, out) {
+  if (same(a, b)) return;
+  if (a === undefined) { out.push({ key, path: p, op: "added", after: b }); return; }
+  if (b === undefined) { out.push({ key, path: p, op: "removed", before: a }); return; }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (opts.arrayKeys[p]) diffKeyedArrays(a, b, p, key, opts.arrayKeys[p], opts, out);
+    else diffArrays(a, b, p, key, out);
+    return;
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    for (const k of [...new Set([...Object.keys(a), ...Object.keys(b)])].sort()) {
+      const child = joinPath(p, k);
+      if (opts.ignore.includes(child)) continue;
+      walk(a[k], b[k], child, key, opts, out);
+    }
+    return;
+  }
+  out.push({ key, path: p, op: "changed", before: a, after: b });
+}
+
+/**
+ * Field-level differences between two data objects; `ignore` takes top-level keys or
+ * dotted paths, `arrayKeys` maps array paths to their record key field (see above)
+ */
+export function diffDetails(a, b, ignore = [], { arrayKeys = {} } = {}) {
+  const A = isPlainObject(a) ? a : {};
+  const B = isPlainObject(b) ? b : {};
+  const opts = { ignore, arrayKeys };
+  const out = [];
+  for (const k of [...new Set([...Object.keys(A), ...Object.keys(B)])].sort()) {
+    if (ignore.includes(k)) continue;
+    walk(A[k], B[k], k, k, opts, out);
+  }
+  return out;
+}
+
+/** Top-level keys touched by a structured diff (same list simpleDiff returns) */
+export function changedKeysOf(details) {
+  return [...new Set(details.map(d => d.key))];
+}
+
+/** Cap array members so reports/payloads stay small; counts keep the full size */
+export function trimDiff(details, maxItems = 20) {
+  return details.map(d => d.op !== "array" ? d : {
+    ...d,
+    added: d.added.slice(0, maxItems),
+    removed: d.removed.slice(0, maxItems),
+    addedCount: d.added.length,
+    removedCount: d.removed.length
+  });
+}
+
+/** "before → after", or "+2: a, b · −1: c" for array members (records by their key) */
+export function fmtChange(d, max = 180) {
+  if (d.op === "array") {
+    const label = (x) => d.keyField && isPlainObject(x) && x[d.keyField] != null ? x[d.keyField] : x;
+    const part = (sign, items, count) => count
+      ? `${sign}${count}: ${items.slice(0, 3).map(x => fmtValue(label(x), Math.min(max, 80))).join(", ")}${count > 3 ? " …" : ""}`
+      : "";
+    return [part("+", d.added, d.addedCount ?? d.added.length), part("−", d.removed, d.removedCount ?? d.removed.length)]
+      .filter(Boolean).join(" · ");
+  }
+  return `${fmtValue(d.before, max)} → ${fmtValue(d.after, max)}`;
+}
+
+/** Compact human-readable value (long strings/arrays are trimmed) */
+export function fmtValue(v, max = 180) {
+  if (v === undefined) return "—";
+  if (Array.isArray(v)) {
+    if (!v.length) return "[]";
+    const head = v.slice(0, 3).map(x => fmtValue(x, 80)).join(", ");
+    return v.length > 3 ? `${head} … (${v.length} items)` : head;
+  }
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  return s.length > max ? s.slice(0, max - 1) + "…" : s;
+}
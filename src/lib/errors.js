@@ -0,0 +1,42 @@
+// src/lib/errors.js
+/* ================================
+   error types
+=================================== */
+
+/** checks.js failed validation; `problems` is [{ check, path, message }] */
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid check config (${problems.length} problem${problems.length === 1 ? "" : "s"}):\n` +
+      problems.map(p => `  - ${p.check}${p.path ? ` › ${p.path}` : ""}: ${p.message}`).join("\n"));
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/** Not a failure: the check was deliberately not run this time (previous data is kept) */
+export class SkipError extends Error {
+  constructor(reason) {
+    super(reason);
+    this.name = "SkipError";
+  }
+}
+
+/** A data provider refused the call (budget used up, or it answered with a throttle notice) */
+export class RateLimitError extends SkipError {
+  constructor(provider, detail, { until = null } = {}) {
+    super(`rate limited – skipped (${provider}: ${detail})`);
+    this.name = "RateLimitError";
+    this.provider = provider;
+    this.detail = detail;
+    this.until = until;
+  }
+}
+
+/** The number a check tracks came back empty where the last good run had one (selector matched, parse didn't) */
+export class EmptyResultError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EmptyResultError";
+    this.kind = "parse-null";
+  }
+}
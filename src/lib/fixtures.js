@@ -0,0 +1,103 @@
+// src/lib/fixtures.js
+import { promises as fsp } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { root } from "./config.js";
+import { readJson, writeJson } from "./fsutil.js";
+
+/* ================================
+   offline fixtures (record / replay)
+   FIXTURE_MODE=record  real network, every response saved under FIXTURE_DIR/http/
+   FIXTURE_MODE=replay  no network: fetch() and Playwright routes are served from disk
+   One file per request, keyed by method + URL (secrets in the query are masked) + body, if any.
+=================================== */
+let mode = process.env.FIXTURE_MODE || "";
+let dir = path.resolve(root, process.env.FIXTURE_DIR || "test/fixtures");
+
+export function setFixtureMode(next, fixtureDir) {
+  if (next && next !== "record" && next !== "replay") throw new Error(`unknown fixture mode "${next}" (record | replay)`);
+  mode = next || "";
+  if (fixtureDir) dir = path.resolve(root, fixtureDir);
+}
+export const fixtureMode = () => mode;
+export const fixtureDir = () => dir;
+
+const SECRET_PARAMS = /^(api_?key|apikey|token|access_token|key|secret|password|sig|signature)$/i;
+const extraSecretParams = new Set();
+
+/** Mask another query param name (e.g. a json_api key sent as `?appid=`) */
+export function addSecretParam(name) {
+  extraSecretParams.add(String(name).toLowerCase());
+}
+
+/** URL with secret-looking query params replaced, safe to store in a repo */
+export function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const k of [...u.searchParams.keys()]) {
+      if (SECRET_PARAMS.test(k) || extraSecretParams.has(k.toLowerCase())) u.searchParams.set(k, "REDACTED");
+    }
+    return u.href;
+  } catch { return url; }
+}
+
+function fileFor(method, url, body) {
+  const safe = redactUrl(url);
+  const key = `${method.toUpperCase()} ${safe}` + (body ? `\n${body}` : "");
+  const id = crypto.createHash("sha1").update(key).digest("hex").slice(0, 16);
+  const host = (() => { try { return new URL(safe).host; } catch { return "misc"; } })();
+  return path.join(dir, "http", host.replace(/[^A-Za-z0-9_.-]/g, "_"), `${id}.json`);
+}
+
+const TEXTUAL = /^(text\/|application\/(json|xml|javascript|xhtml\+xml|rss\+xml|atom\+xml|ld\+json)|image\/svg)/i;
+
+export async function saveFixture({ method = "GET", url, requestBody, status, headers = {}, body }) {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(body ?? "");
+  const ct = headers["content-type"] || "";
+  const gz = buf[0] === 0x1f && buf[1] === 0x8b;
+  const textual = !gz && TEXTUAL.test(ct);
+  await writeJson(fileFor(method, url, requestBody), {
+    method: method.toUpperCase(),
+    url: redactUrl(url),
+    status,
+    headers: { "content-type": ct },
+    ...(textual ? { body: buf.toString("utf8") } : { bodyBase64: buf.toString("base64") })
+  });
+}
+
+/** Stored response for a request, or null */
+export async function loadFixture(method, url, requestBody) {
+  const f = await readJson(fileFor(method, url, requestBody));
+  if (!f) return null;
+  return {
+    ...f,
+    body: f.bodyBase64 != null ? Buffer.from(f.bodyBase64, "base64") : Buffer.from(f.body ?? "", "utf8")
+  };
+}
+
+/**
+ * fetch() that honours the fixture mode. Replay misses fail loudly so a
+ * test never silently reaches the network.
+ */
+export async function fixtureFetch(url, init = {}) {
+  const method = init.method || "GET";
+  const requestBody = typeof init.body === "string" ? init.body : undefined;
+  if (mode === "replay") {
+    const f = await loadFixture(method, url, requestBody);
+    if (!f) throw new Error(`no fixture for ${method} ${redactUrl(url)} (record it with FIXTURE_MODE=record)`);
+    return new Response(f.body, { status: f.status, headers: f.headers });
+  }
+  const res = await fetch(url, init);
+  if (mode !== "record") return res;
+  const body = Buffer.from(await res.arrayBuffer());
+  await saveFixture({ method, url, requestBody, status: res.status, headers: Object.fromEntries(res.headers), body });
+  return new Response(body, { status: res.status, statusText: res.statusText, headers: res.headers });
+}
+
+/** Expected extractor output saved next to the HTTP fixtures */
+export const expectedPath = (name) => path.join(dir, "expected", `${name}.json`);
+export async function listExpected() {
+  try {
+    return (await fsp.readdir(path.join(dir, "expected"))).filter(f => f.endsWith(".json")).map(f => f.replace(/\.json$/, "")).sort();
+  } catch { return []; }
+}
@@ -0,0 +1,47 @@
+// src/lib/fsutil.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { root } from "./config.js";
+
+/* ================================
+   fs helpers
+=================================== */
+export async function ensureDir(p) { await fsp.mkdir(p, { recursive: true }); }
+export async function exists(p) { try { await fsp.access(p); return true; } catch { return false; } }
+export async function readJson(p) { try { return JSON.parse(await fsp.readFile(p, "utf8")); } catch { return null; } }
+export async function writeJson(p, obj) { await ensureDir(path.dirname(p)); await fsp.writeFile(p, JSON.stringify(obj, null, 2) + "\n", "utf8"); }
+export async function appendLine(p, line) { await ensureDir(path.dirname(p)); await fsp.appendFile(p, line, "utf8"); }
+
+/** Merge-copy directory contents from src -> dst, skipping files that already exist in dst */
+export async function mergeCopyDir(src, dst) {
+  if (!(await exists(src))) return;
+  await ensureDir(dst);
+  for (const entry of await fsp.readdir(src, { withFileTypes: true })) {
+    const s = path.join(src, entry.name);
+    const d = path.join(dst, entry.name);
+    if (entry.isDirectory()) {
+      await mergeCopyDir(s, d);
+    } else {
+      if (!(await exists(d))) {
+        await ensureDir(path.dirname(d));
+        await fsp.copyFile(s, d);
+      }
+    }
+  }
+}
+
+/** Seed state from previous published site so appends & diffs work on fresh runners */
+export async function seedFromDocsData(resultsDir) {
+  const docsData = path.join(root, "docs", "data");
+  if (!(await exists(docsData))) return;
+  // latest -> for diffs
+  await mergeCopyDir(path.join(docsData, "latest"), path.join(resultsDir, "latest"));
+  // timeseries -> so we append to the existing series
+  await mergeCopyDir(path.join(docsData, "timeseries"), path.join(resultsDir, "timeseries"));
+  // outbox -> undelivered notifications get retried
+  await mergeCopyDir(path.join(docsData, "outbox"), path.join(resultsDir, "outbox"));
+  // quota -> provider call budgets carry over between runs
+  await mergeCopyDir(path.join(docsData, "quota"), path.join(resultsDir, "quota"));
+  // state -> sidecar files checks compare against (sitemap URL sets, ...)
+  await mergeCopyDir(path.join(docsData, "state"), path.join(resultsDir, "state"));
+}
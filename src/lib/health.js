@@ -0,0 +1,100 @@
+// src/lib/health.js
+import { parseSchedule, expectedIntervalMs } from "./schedule.js";
+
+/* ================================
+   per-check health
+   Kept in latest/<check>.json as `health` (a failed run keeps the last good `data`):
+     { status: "ok" | "failing" | "broken", consecutiveFailures, lastSuccessAt, lastFailureAt,
+       lastError, errorKind, httpStatus, staleNotifiedAt }
+   A check is "broken" after `brokenAfter` failures in a row (check.health.brokenAfter,
+   BROKEN_AFTER env, default 3), and "stale" when it hasn't succeeded for `staleAfter`
+   (check.health.staleAfter, else STALE_FACTOR × its schedule's interval, else STALE_AFTER).
+   health.notify: false keeps broken / recovered / stale notices for that check quiet.
+=================================== */
+export const BROKEN_AFTER = Math.max(1, Number(process.env.BROKEN_AFTER || 3));
+export const STALE_FACTOR = Math.max(1, Number(process.env.STALE_FACTOR || 3));
+export const STALE_AFTER = process.env.STALE_AFTER || "1d";
+
+export const healthSchema = {
+  type: "object",
+  properties: {
+    brokenAfter: { type: "number" },
+    staleAfter: { type: "string", validate: intervalProblems },
+    notify: { type: "boolean" }
+  }
+};
+
+function intervalProblems(spec) {
+  try {
+    if (parseSchedule(spec).kind === "interval") return [];
+  } catch {}
+  return [{ message: `expected an interval like "12h" or "2d", got "${spec}"` }];
+}
+
+const SELECTOR = /waiting for (locator|selector)|row not found|no table with|locator\(/i;
+const CONFIG = /missing env|not set\b|unknown check type|browserType\.launch/i;
+const NETWORK = /ENOTFOUND|ECONNREFUSED|ECONNRESET|EAI_AGAIN|net::ERR_|fetch failed|socket hang up/i;
+const PARSE = /no (pick|field) path matched|not JSON|missing price|not a PNG|unexpected token|parse/i;
+
+/** { kind: "timeout" | "http" | "selector" | "parse-null" | "parse" | "network" | "config" | "other", httpStatus? } */
+export function classifyError(e) {
+  const msg = String(e?.message ?? e);
+  if (e?.kind) return { kind: e.kind };
+  if (CONFIG.test(msg)) return { kind: "config" };
+  // a selector wait that timed out is a broken selector, not a slow site
+  if (SELECTOR.test(msg)) return { kind: "selector" };
+  const status = msg.match(/\bHTTP (\d{3})\b/);
+  if (status) return { kind: "http", httpStatus: Number(status[1]) };
+  if (e?.name === "TimeoutError" || /timeout|timed out|ETIMEDOUT/i.test(msg)) return { kind: "timeout" };
+  if (NETWORK.test(msg)) return { kind: "network" };
+  if (PARSE.test(msg)) return { kind: "parse" };
+  return { kind: "other" };
+}
+
+/** Health of a record, including older records written before health was tracked */
+export function healthOf(rec) {
+  if (!rec) return null;
+  if (rec.health) return rec.health;
+  return rec.error
+    ? { status: "failing", consecutiveFailures: 1, lastSuccessAt: null, lastFailureAt: rec.checkedAt, lastError: rec.error }
+    : { status: "ok", consecutiveFailures: 0, lastSuccessAt: rec.checkedAt };
+}
+
+/**
+ * Health after this run, plus the event it triggers: "broken" the run the failure
+ * streak reaches brokenAfter, "recovered" on the first success after that.
+ */
+export function nextHealth(prev, { at, error = null, brokenAfter = BROKEN_AFTER }) {
+  if (!error) {
+    const health = { status: "ok", consecutiveFailures: 0, lastSuccessAt: at, ...(prev?.lastFailureAt ? { lastFailureAt: prev.lastFailureAt } : {}) };
+    return { health, event: prev?.status === "broken" ? "recovered" : null, failures: prev?.consecutiveFailures || 0 };
+  }
+  const failures = (prev?.consecutiveFailures || 0) + 1;
+  const { kind, httpStatus } = classifyError(error);
+  const health = {
+    status: failures >= brokenAfter ? "broken" : "failing",
+    consecutiveFailures: failures,
+    lastSuccessAt: prev?.lastSuccessAt ?? null,
+    lastFailureAt: at,
+    lastError: String(error?.message ?? error).split("\n")[0],
+    errorKind: kind,
+    ...(httpStatus ? { httpStatus } : {}),
+    ...(prev?.staleNotifiedAt ? { staleNotifiedAt: prev.staleNotifiedAt } : {})
+  };
+  return { health, event: failures === brokenAfter ? "broken" : null, failures };
+}
+
+/** How long a check may go without a success before it counts as stale */
+export function staleAfterMs(check, now = new Date()) {
+  if (check.health?.staleAfter) return parseSchedule(check.health.staleAfter).ms;
+  const every = expectedIntervalMs(check.schedule, now);
+  return every ? every * STALE_FACTOR : parseSchedule(STALE_AFTER).ms;
+}
+
+/** { since, limitMs } when the check is stale at `now`, else null */
+export function staleness(check, health, now = new Date()) {
+  const since = health?.lastSuccessAt ? new Date(health.lastSuccessAt) : null;
+  if (!since || Number.isNaN(since.getTime())) return null;
+  const limitMs = staleAfterMs(check, now);
+  return now - since > limitMs ? { since: health.lastSuccessAt, limitMs } : null;
+}
@@ -0,0 +1,75 @@
+// src/lib/html.js
+/* ================================
+   tiny HTML table parser (scan ALL tables)
+=================================== */
+export function stripTags(s) { return s.replace(/<[^>]*>/g, " "); }
+export function cleanCell(s) { return stripTags(s).replace(/\s+/g, " ").trim(); }
+export function parseTables(html) {
+  const tables = [...html.matchAll(/<table[\s\S]*?<\/table>/gi)].map(m => m[0]);
+  return tables.map((table) => {
+    let headers = [];
+    const thead = table.match(/<thead[\s\S]*?<\/thead>/i);
+    if (thead) {
+      headers = [...thead[0].matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map((x) => cleanCell(x[1]));
+    } else {
+      const firstTr = table.match(/<tr[\s\S]*?<\/tr>/i);
+      if (firstTr) headers = [...firstTr[0].matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map((x) => cleanCell(x[1]));
+    }
+    const bodyHtml = thead ? table.replace(thead[0], "") : table;
+    const trs = [...bodyHtml.matchAll(/<tr[\s\S]*?<\/tr>/gi)].map(x => x[0]);
+    const rows = trs.map(tr =>
+      [...tr.matchAll(/<(?:td|th)[^>]*>([\s\S]*?)<\/(?:td|th)>/gi)]
+        .map(x => cleanCell(x[1]))
+    ).filter(r => r.length > 0);
+    return { headers, rows, size: table.length };
+  });
+}
+
+export function toNumberLike(s) {
+  if (s == null) return null;
+  const cleaned = String(s).replace(/[^\d.+-]/g, "").replace(/,/g, "").replace(/[+–-]+$/g, "");
+  const n = Number(cleaned);
+  return Number.isFinite(n) ? n : null;
+}
+
+/* ================================
+   matching helpers
+=================================== */
+export function looseContains(hay, needle) {
+  const H = (hay || "").toLowerCase().replace(/[^a-z0-9]+/g, " ");
+  const N = (needle || "").toLowerCase().replace(/[^a-z0-9]+/g, " ");
+  const toks = N.split(/\s+/).filter(Boolean);
+  return toks.every(t => H.includes(t));
+}
+export function tokensFound(hay, tokens) {
+  const H = (hay || "").toLowerCase().replace(/[^a-z0-9]+/g, " ");
+  return tokens.every(t => H.includes(t.toLowerCase()));
+}
+/** Best table having every wanted column (one name or a list), scored by size and token hits */
+export function pickBestTable(tables, desiredCols, tokens = []) {
+  const want = (Array.isArray(desiredCols) ? desiredCols : [desiredCols]).map(c => (c || "").replace(/\s+/g, " ").trim().toUpperCase());
+  let best = null; let bestScore = -1;
+  for (const t of tables) {
+    const hasCol = want.every(w => t.headers.some(h => (h || "").replace(/\s+/g, " ").trim().toUpperCase().includes(w)));
+    if (!hasCol) continue;
+    const content = [t.headers.join(" "), ...t.rows.map(r => r.join(" "))].join(" ");
+    const tokenHit = tokens.length ? (tokensFound(content, tokens) ? 5 : 0) : 0;
+    const score = (hasCol ? 10 : 0) + Math.min(t.rows.length, 200) + tokenHit + Math.min(t.size/1000, 50);
+    if (score > bestScore) { bestScore = score; best = t; }
+  }
+  return best;
+}
+
+/* ================================
+   entities
+=================================== */
+const NAMED = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: "\u00a0", pound: "£", euro: "€", yen: "¥", cent: "¢", copy: "©", reg: "®", hellip: "…", ndash: "–", mdash: "—" };
+export function decodeEntities(s) {
+  return String(s ?? "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const cp = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1));
+      return Number.isFinite(cp) && cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+    }
+    return NAMED[e.toLowerCase()] ?? m;
+  });
+}
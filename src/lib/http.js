@@ -0,0 +1,38 @@
+// src/lib/http.js
+import { gunzipSync } from "zlib";
+import { REALISTIC_UA } from "./config.js";
+import { withRetry } from "./util.js";
+import { fixtureFetch } from "./fixtures.js";
+
+/** fetch() for check types: goes through fixture record/replay (see lib/fixtures.js) */
+export const httpFetch = fixtureFetch;
+
+/* ================================
+   HTML fetch helpers (gzip aware)
+=================================== */
+function looksLikeGzip(buf) { return buf && buf.length > 2 && buf[0] === 0x1f && buf[1] === 0x8b; }
+export async function fetchBuffer(url) {
+  const res = await httpFetch(url, {
+    headers: {
+      "User-Agent": REALISTIC_UA,
+      "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+      "Accept-Language": "en-US,en;q=0.9",
+      "Cache-Control": "no-cache"
+    }
+  });
+  const buf = Buffer.from(await res.arrayBuffer());
+  return { res, buf };
+}
+export async function fetchTextMaybeGzip(url) {
+  const { res, buf } = await withRetry(`fetch ${url}`, () => fetchBuffer(url));
+  if (!res.ok) throw new Error(`HTTP ${res.status} ${res.statusText || ""}`.trim());
+  const ct = (res.headers.get("content-type") || "").toLowerCase();
+  const ce = (res.headers.get("content-encoding") || "").toLowerCase();
+  const gzByType = ct.includes("application/gzip") || ct.includes("x-gzip");
+  const gzByEnc = ce.includes("gzip");
+  const gzByExt = url.toLowerCase().endsWith(".gz");
+  if (gzByType || gzByEnc || gzByExt || looksLikeGzip(buf)) {
+    try { return gunzipSync(buf).toString("utf8"); } catch {}
+  }
+  return buf.toString("utf8");
+}
@@ -0,0 +1,151 @@
+// src/lib/jsonpath.js
+import { parseAmount } from "./money.js";
+
+/* ================================
+   tiny JSONPath subset
+     $               root
+     .key  ['key']   child (quoted form for keys like "og:title" or "@type")
+     [0]  [-1]  [*]  array index / last / every element (or every value of an object)
+     ..key           recursive descent
+     [?(@.key=='v')] filter elements; @.@type works, and array-valued keys match if they contain v
+   A path starting with "/" is a JSON Pointer (RFC 6901) instead: "/data/0/price".
+   query() returns every match; queryOne() the first (or undefined).
+=================================== */
+
+/** Split a path into steps; throws on syntax the subset doesn't cover */
+export function parsePath(path) {
+  const src = String(path).trim();
+  if (!src.startsWith("$")) throw new Error(`JSONPath must start with "$": ${src}`);
+  const steps = [];
+  let i = 1;
+  while (i < src.length) {
+    const rest = src.slice(i);
+    let m;
+    if ((m = rest.match(/^\.\.(\*|[^.[\]\s]+)/))) { steps.push({ op: "descend", key: m[1] }); }
+    else if ((m = rest.match(/^\.\*/))) { steps.push({ op: "all" }); }
+    else if ((m = rest.match(/^\.([^.[\]\s]+)/))) { steps.push({ op: "key", key: m[1] }); }
+    else if ((m = rest.match(/^\[\s*(['"])(.*?)\1\s*\]/))) { steps.push({ op: "key", key: m[2] }); }
+    else if ((m = rest.match(/^\[\s*(-?\d+)\s*\]/))) { steps.push({ op: "index", index: Number(m[1]) }); }
+    else if ((m = rest.match(/^\[\s*\*\s*\]/))) { steps.push({ op: "all" }); }
+    else if ((m = rest.match(/^\[\?\(\s*@\.([^\s=!]+)\s*(==|!=)\s*(?:(['"])(.*?)\3|(-?[\d.]+|true|false|null))\s*\)\]/))) {
+      const value = m[3] ? m[4] : JSON.parse(m[5]);
+      steps.push({ op: "filter", key: m[1], cmp: m[2], value });
+    }
+    else throw new Error(`unsupported JSONPath near "${rest}" in ${src}`);
+    i += m[0].length;
+  }
+  return steps;
+}
+
+const children = (v) => Array.isArray(v) ? v : (v && typeof v === "object" ? Object.values(v) : []);
+
+function descend(v, key, out) {
+  if (Array.isArray(v)) { for (const x of v) descend(x, key, out); return; }
+  if (!v || typeof v !== "object") return;
+  if (key === "*") out.push(...Object.values(v));
+  else if (key in v) out.push(v[key]);
+  for (const x of Object.values(v)) descend(x, key, out);
+}
+
+function filterMatch(v, { key, cmp, value }) {
+  const got = v?.[key];
+  const hit = Array.isArray(got) ? got.includes(value) : got === value;
+  return cmp === "==" ? hit : !hit;
+}
+
+function step(values, s) {
+  const out = [];
+  for (const v of values) {
+    if (s.op === "key") { if (v && typeof v === "object" && s.key in v) out.push(v[s.key]); }
+    else if (s.op === "index") { if (Array.isArray(v)) { const x = v.at(s.index); if (x !== undefined) out.push(x); } }
+    else if (s.op === "all") out.push(...children(v));
+    else if (s.op === "descend") descend(v, s.key, out);
+    // filters apply to array elements, or to a lone object as if it were a one-element array
+    else if (s.op === "filter") out.push(...(Array.isArray(v) ? v : [v]).filter(x => filterMatch(x, s)));
+  }
+  return out;
+}
+
+function pointer(obj, path) {
+  let v = obj;
+  for (const raw of path.split("/").slice(1)) {
+    const k = raw.replace(/~1/g, "/").replace(/~0/g, "~");
+    if (v == null || typeof v !== "object" || !(k in v)) return [];
+    v = v[k];
+  }
+  return [v];
+}
+
+export function query(obj, path) {
+  if (String(path).startsWith("/")) return pointer(obj, String(path));
+  return parsePath(path).reduce(step, [obj]);
+}
+export function queryOne(obj, path) {
+  return query(obj, path)[0];
+}
+
+/** Validator hook: [] when the path parses */
+export function pathProblems(path) {
+  if (String(path).startsWith("/")) return [];
+  try { parsePath(path); return []; } catch (e) { return [{ message: e.message }]; }
+}
+
+/* ================================
+   named field picks (structured_data, json_api)
+     { key: "$.path" }  or  { key: { path, number, all } }
+   Numeric strings ("19.99") become numbers; `number: true` also parses "1.299,00 €";
+   `all: true` keeps every match as an array.
+=================================== */
+function normalize(v, spec) {
+  if (spec.number) return typeof v === "number" ? v : parseAmount(String(v ?? ""));
+  if (typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v.trim())) return Number(v);
+  return v;
+}
+
+export function pickFields(doc, fields) {
+  const out = {};
+  for (const [key, raw] of Object.entries(fields)) {
+    const spec = typeof raw === "string" ? { path: raw } : raw;
+    const found = query(doc, spec.path).map(v => normalize(v, spec));
+    out[key] = spec.all ? found : (found[0] ?? null);
+  }
+  return out;
+}
+
+/** True when no field matched anything */
+export const nothingPicked = (data) => Object.values(data).every(v => v == null || (Array.isArray(v) && !v.length));
+
+/** Schema spec for a map of field picks */
+export const fieldsSchema = {
+  type: "object",
+  required: true,
+  values: {
+    type: ["string", "object"],
+    properties: {
+      path: { type: "string", required: true },
+      number: { type: "boolean" },
+      all: { type: "boolean" }
+    },
+    validate: (v) => pathProblems(typeof v === "string" ? v : v.path ?? "$")
+  }
+};
+
+/** Field the series reads: `seriesKey`, else the first picked value that is a number */
+export function pickedSeriesKey(data, check, fields) {
+  return check.seriesKey ?? Object.keys(fields || {}).find(k => typeof data?.[k] === "number") ?? null;
+}
+
+/** Series value: the picked field named by pickedSeriesKey() */
+export function pickedSeriesValue(data, check, fields) {
+  const key = pickedSeriesKey(data, check, fields);
+  const v = key ? data?.[key] : null;
+  return (typeof v === "number" && Number.isFinite(v)) ? v : null;
+}
+
+/** The other numeric picked fields, stored as metrics next to the series value */
+export function pickedMetrics(data, check, fields) {
+  const key = pickedSeriesKey(data, check, fields);
+  return Object.fromEntries(Object.keys(fields || {})
+    .filter(k => k !== key && typeof data?.[k] === "number" && Number.isFinite(data[k]))
+    .map(k => [k, data[k]]));
+}
@@ -0,0 +1,26 @@
+// src/lib/limit.js
+/* ================================
+   concurrency limiters
+=================================== */
+
+/** limit(fn) runs fn once fewer than `max` calls are in flight */
+export function createLimiter(max = 1) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= max || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+/** Same, but one independent limiter per key (e.g. per host) */
+export function createKeyedLimiter(max = 1) {
+  const limiters = new Map();
+  return (key, fn) => {
+    if (!limiters.has(key)) limiters.set(key, createLimiter(max));
+    return limiters.get(key)(fn);
+  };
+}
@@ -0,0 +1,234 @@
+// src/lib/merge.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { ensureDir, exists, readJson, writeJson } from "./fsutil.js";
+import { readPoints, writePoints } from "./timeseries.js";
+import { writeCombinedReport } from "./report.js";
+import { rebuildRunIndex } from "./runs.js";
+import { outboxStats } from "../notify/outbox.js";
+
+/* ================================
+   merge per-group result dirs (one per CI matrix job) into one data dir
+   Every job starts from the same published copy, so each source holds its own
+   group's fresh results next to stale copies of everyone else's. Per area:
+     latest/      the record with the newest checkedAt wins
+     state/       follows the winning latest record (its check ran there)
+     timeseries/  raw points are unioned by `t`; rollup buckets keep the larger `n`.
+                  Points older than the winning copy's first one are dropped: that job
+                  compacted them away, the other copies are just stale
+     history/     union (records are named by their timestamp; jobs aren't seeded with it)
+     outbox/      union by id; delivered beats dead beats pending
+     quota/       the current day's highest call counts
+     runs/        union of the run manifests; the index is rebuilt
+     report-<group>.*  the newest report of each group
+   Sources are visited in sorted order and the target counts as the first one,
+   so ties go the same way every time. The consolidated report.* is rebuilt from
+   the group reports afterwards.
+=================================== */
+const ROLLUP_FILE = /\.(hourly|daily)\.jsonl$/;
+
+/** A source is either a data dir or an artifact dir holding one (`<src>/data`) */
+async function dataDirOf(src) {
+  return (await exists(path.join(src, "data", "latest"))) || (await exists(path.join(src, "data", "timeseries")))
+    ? path.join(src, "data")
+    : src;
+}
+
+/** Relative paths of every file under dir */
+async function listFiles(dir, rel = "") {
+  let entries;
+  try { entries = await fsp.readdir(path.join(dir, rel), { withFileTypes: true }); } catch { return []; }
+  const out = [];
+  for (const e of entries.sort((a, b) => (a.name < b.name ? -1 : 1))) {
+    const r = path.join(rel, e.name);
+    if (e.isDirectory()) out.push(...await listFiles(dir, r));
+    else out.push(r);
+  }
+  return out;
+}
+
+async function copyFile(from, to) {
+  await ensureDir(path.dirname(to));
+  await fsp.copyFile(from, to);
+}
+async function copyDir(from, to) {
+  await fsp.rm(to, { recursive: true, force: true });
+  for (const f of await listFiles(from)) await copyFile(path.join(from, f), path.join(to, f));
+}
+
+/**
+ * Union of JSONL series by `t`: later sources win for raw points, fuller buckets for rollups.
+ * `since` drops points before that time.
+ */
+export function mergePoints(lists, { rollup = false, since = null } = {}) {
+  const byT = new Map();
+  for (const points of lists) {
+    for (const p of points) {
+      if (!p?.t || (since && p.t < since)) continue;
+      const have = byT.get(p.t);
+      if (!have || !rollup || (p.n ?? 0) >= (have.n ?? 0)) byT.set(p.t, p);
+    }
+  }
+  return [...byT.values()].sort((a, b) => (a.t < b.t ? -1 : a.t > b.t ? 1 : 0));
+}
+
+const newer = (a, b) => Date.parse(a?.checkedAt || 0) >= Date.parse(b?.checkedAt || 0);
+
+async function mergeLatest(into, dirs, counts) {
+  // winners[check] = the dir whose record is newest (into when nobody beats it)
+  const winners = {};
+  const files = new Set();
+  for (const dir of [into, ...dirs]) {
+    for (const f of await listFiles(path.join(dir, "latest"))) if (f.endsWith(".json")) files.add(f);
+  }
+  for (const f of [...files].sort()) {
+    const name = f.replace(/\.json$/, "");
+    let best = { dir: into, rec: await readJson(path.join(into, "latest", f)) };
+    for (const dir of dirs) {
+      const rec = await readJson(path.join(dir, "latest", f));
+      if (rec && (!best.rec || newer(rec, best.rec))) best = { dir, rec };
+    }
+    winners[name] = best.dir;
+    if (best.dir !== into) {
+      await writeJson(path.join(into, "latest", f), best.rec);
+      counts.latest++;
+    }
+  }
+  return winners;
+}
+
+async function mergeState(into, dirs, winners, counts) {
+  for (const dir of dirs) {
+    let names = [];
+    try { names = (await fsp.readdir(path.join(dir, "state"))).sort(); } catch {}
+    for (const name of names) {
+      const target = path.join(into, "state", name);
+      // a check without a latest record here: take its state if we have none
+      if (winners[name] ? winners[name] !== dir : await exists(target)) continue;
+      await copyDir(path.join(dir, "state", name), target);
+      counts.state++;
+    }
+  }
+}
+
+async function mergeTimeseries(into, dirs, winners, counts) {
+  const files = new Set();
+  for (const dir of dirs) {
+    for (const f of await listFiles(path.join(dir, "timeseries"))) if (f.endsWith(".jsonl")) files.add(f);
+  }
+  for (const f of [...files].sort()) {
+    const lists = [];
+    for (const dir of [into, ...dirs]) lists.push(await readPoints(path.join(dir, "timeseries", f)));
+    // the job that ran the check applied retention; older points elsewhere are stale copies
+    const winner = winners[f.split(path.sep)[0]];
+    const since = winner ? lists[[into, ...dirs].indexOf(winner)][0]?.t ?? null : null;
+    await writePoints(path.join(into, "timeseries", f), mergePoints(lists, { rollup: ROLLUP_FILE.test(f), since }));
+    counts.timeseries++;
+  }
+}
+
+/** Copy files the target doesn't have yet */
+async function mergeMissing(into, dirs, sub, counts, { skip = [] } = {}) {
+  for (const dir of dirs) {
+    for (const f of await listFiles(path.join(dir, sub))) {
+      const target = path.join(into, sub, f);
+      if (skip.includes(f) || await exists(target)) continue;
+      await copyFile(path.join(dir, sub, f), target);
+      counts[sub]++;
+    }
+  }
+}
+
+async function mergeOutbox(into, dirs, counts) {
+  const box = path.join(into, "outbox");
+  for (const dir of dirs) {
+    for (const f of await listFiles(path.join(dir, "outbox"))) {
+      const [kind, file] = f.split(path.sep);
+      if (!file) continue;
+      const incoming = await readJson(path.join(dir, "outbox", f));
+      const target = path.join(box, kind, file);
+      const have = await readJson(target);
+      if (kind === "pending" && have && (have.attempts ?? 0) >= (incoming?.attempts ?? 0)) continue;
+      if (kind !== "pending" && have) continue;
+      await copyFile(path.join(dir, "outbox", f), target);
+      counts.outbox++;
+    }
+  }
+  // a delivery that went out (or was given up) in any job is no longer pending
+  for (const f of await listFiles(path.join(box, "pending"))) {
+    if (await exists(path.join(box, "delivered", f)) || await exists(path.join(box, "dead", f))) {
+      await fsp.rm(path.join(box, "pending", f), { force: true });
+    }
+  }
+  for (const f of await listFiles(path.join(box, "dead"))) {
+    if (await exists(path.join(box, "delivered", f))) await fsp.rm(path.join(box, "dead", f), { force: true });
+  }
+}
+
+async function mergeQuota(into, dirs, counts) {
+  for (const dir of dirs) {
+    for (const f of await listFiles(path.join(dir, "quota"))) {
+      const target = path.join(into, "quota", f);
+      const a = await readJson(target);
+      const b = await readJson(path.join(dir, "quota", f));
+      if (!b) continue;
+      if (!a) { await writeJson(target, b); counts.quota++; continue; }
+      const out = { ...a };
+      if (b.day > (a.day || "")) Object.assign(out, { day: b.day, dayCalls: b.dayCalls });
+      else if (b.day === a.day) out.dayCalls = Math.max(a.dayCalls || 0, b.dayCalls || 0);
+      if (b.minute > (a.minute || "")) Object.assign(out, { minute: b.minute, minuteCalls: b.minuteCalls });
+      else if (b.minute === a.minute) out.minuteCalls = Math.max(a.minuteCalls || 0, b.minuteCalls || 0);
+      if ((b.blockedUntil || "") > (a.blockedUntil || "")) out.blockedUntil = b.blockedUntil;
+      if (JSON.stringify(out) !== JSON.stringify(a)) { await writeJson(target, out); counts.quota++; }
+    }
+  }
+}
+
+const groupOfReport = (f) => f.match(/^report-(.+)\.json$/)?.[1];
+
+async function mergeReports(into, dirs, counts) {
+  const groups = new Set();
+  for (const dir of [into, ...dirs]) {
+    let files = [];
+    try { files = await fsp.readdir(dir); } catch {}
+    for (const g of files.map(groupOfReport)) if (g) groups.add(g);
+  }
+  for (const g of [...groups].sort()) {
+    let best = { dir: into, at: Date.parse((await readJson(path.join(into, `report-${g}.json`)))?.generatedAt || 0) };
+    for (const dir of dirs) {
+      const at = Date.parse((await readJson(path.join(dir, `report-${g}.json`)))?.generatedAt || 0);
+      if (at >= best.at && at > 0) best = { dir, at };
+    }
+    if (best.dir === into) continue;
+    for (const f of [`report-${g}.json`, `report-${g}.md`, path.join("reports", `report-${g}.html`)]) {
+      if (await exists(path.join(best.dir, f))) await copyFile(path.join(best.dir, f), path.join(into, f));
+    }
+    counts.reports++;
+  }
+}
+
+/**
+ * Merge result dirs into `into` (created if missing). Returns counts of what was
+ * taken from the sources, per area.
+ */
+export async function mergeResults(into, sources) {
+  await ensureDir(into);
+  const dirs = [];
+  for (const src of [...sources].sort()) {
+    const dir = await dataDirOf(src);
+    if (path.resolve(dir) !== path.resolve(into)) dirs.push(dir);
+  }
+  const counts = { latest: 0, state: 0, timeseries: 0, history: 0, outbox: 0, quota: 0, runs: 0, reports: 0 };
+  const winners = await mergeLatest(into, dirs, counts);
+  await mergeState(into, dirs, winners, counts);
+  await mergeTimeseries(into, dirs, winners, counts);
+  await mergeMissing(into, dirs, "history", counts);
+  await mergeOutbox(into, dirs, counts);
+  await mergeQuota(into, dirs, counts);
+  await mergeMissing(into, dirs, "runs", counts, { skip: ["index.json"] });
+  await rebuildRunIndex(path.join(into, "runs"));
+  await mergeReports(into, dirs, counts);
+  const report = await writeCombinedReport(into, { outbox: await outboxStats(path.join(into, "outbox")) });
+  counts.checks = report.counts.checks;
+  return counts;
+}
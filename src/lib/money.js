@@ -0,0 +1,68 @@
+// src/lib/money.js
+/* ================================
+   price text -> { amount, currency }
+   "1.299,00 €" -> 1299 EUR · "¥12,000" -> 12000 JPY · "CHF 1'299.50" -> 1299.5 CHF
+   Separators are resolved from the text itself (last of "." / "," wins when both appear,
+   a lone separator followed by exactly three digits is a thousands group); pass
+   `locale` to pin the decimal mark and `currency` when a bare "$" or "kr" is ambiguous.
+=================================== */
+
+// prefixed dollars/yen first so "US$" / "CN¥" win over the bare symbol
+const SYMBOLS = [
+  ["US$", "USD"], ["CA$", "CAD"], ["C$", "CAD"], ["AU$", "AUD"], ["A$", "AUD"], ["NZ$", "NZD"],
+  ["HK$", "HKD"], ["S$", "SGD"], ["MX$", "MXN"], ["R$", "BRL"], ["CN¥", "CNY"], ["JP¥", "JPY"],
+  ["元", "CNY"], ["€", "EUR"], ["£", "GBP"], ["¥", "JPY"], ["￥", "JPY"], ["₹", "INR"], ["₩", "KRW"],
+  ["₽", "RUB"], ["₺", "TRY"], ["₪", "ILS"], ["₫", "VND"], ["฿", "THB"], ["₱", "PHP"], ["zł", "PLN"],
+  ["Kč", "CZK"], ["$", "USD"]
+];
+const ISO_CODES = new Set(Intl.supportedValuesOf("currency"));
+
+/** Currencies normally written without minor units ("¥1,500", "₩12.000") */
+const ZERO_DECIMAL = new Set(["JPY", "KRW", "VND", "CLP", "ISK", "UGX", "PYG"]);
+
+export function detectCurrency(txt = "") {
+  const s = String(txt);
+  for (const m of s.matchAll(/(?<![A-Za-z])([A-Z]{3})(?![A-Za-z])/g)) {
+    if (ISO_CODES.has(m[1])) return m[1];
+  }
+  for (const [sym, code] of SYMBOLS) if (s.includes(sym)) return code;
+  return null;
+}
+
+function decimalMarkFor(locale) {
+  try {
+    return new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === "decimal")?.value ?? null;
+  } catch { return null; }
+}
+
+/** First number in the text, with locale-style grouping and decimal marks resolved */
+export function parseAmount(txt, { locale, currency } = {}) {
+  // spaces only group digits when followed by exactly three more ("1 299,00"), so "2 for 10" stays 2
+  const m = String(txt ?? "").match(/\d+(?:(?:[.,'’]|[\s\u00a0\u202f](?=\d{3}(?!\d)))\d+)*/);
+  if (!m) return null;
+  const s = m[0].replace(/[\s\u00a0\u202f'’]/g, "").replace(/[.,]+$/, "");
+  let dec = locale ? decimalMarkFor(locale) : undefined;
+  if (dec === undefined) {
+    const lastDot = s.lastIndexOf(".");
+    const lastComma = s.lastIndexOf(",");
+    if (lastDot >= 0 && lastComma >= 0) dec = lastDot > lastComma ? "." : ",";
+    else if (lastDot < 0 && lastComma < 0) dec = null;
+    else {
+      const sep = lastDot >= 0 ? "." : ",";
+      const parts = s.split(sep);
+      const grouped = parts.length > 2 || parts[parts.length - 1].length === 3;
+      dec = grouped || ZERO_DECIMAL.has(currency) ? null : sep;
+    }
+  }
+  const at = dec ? s.lastIndexOf(dec) : -1;
+  const int = (at < 0 ? s : s.slice(0, at)).replace(/[.,]/g, "");
+  const frac = at < 0 ? "" : s.slice(at + 1);
+  const n = Number(frac ? `${int}.${frac}` : int);
+  return Number.isFinite(n) ? n : null;
+}
+
+/** { amount, currency } from a price string; `currency` (option) overrides detection */
+export function parsePrice(txt, { locale, currency } = {}) {
+  const code = currency || detectCurrency(txt);
+  return { amount: parseAmount(txt, { locale, currency: code }), currency: code };
+}
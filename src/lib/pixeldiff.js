@@ -0,0 +1,48 @@
+// src/lib/pixeldiff.js
+/* ================================
+   pixel diff of two RGBA images (see lib/png.js)
+   A pixel differs when its colour distance is above `tolerance` (0..1, share of the
+   largest possible RGB distance), so antialiasing noise doesn't count. Images of
+   different sizes are compared over the larger canvas; the part only one covers differs.
+   The diff image is the new image faded to grey with differing pixels in red.
+=================================== */
+const MAX_DIST = Math.sqrt(3 * 255 * 255);
+
+export function diffImages(before, after, { tolerance = 0.1 } = {}) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const out = new Uint8Array(width * height * 4);
+  const limit = tolerance * MAX_DIST;
+  let changed = 0;
+
+  const at = (img, x, y) => (x < img.width && y < img.height ? (y * img.width + x) * 4 : -1);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = at(before, x, y);
+      const j = at(after, x, y);
+      const o = (y * width + x) * 4;
+      let differs = i < 0 || j < 0;
+      if (!differs) {
+        const dr = before.data[i] - after.data[j];
+        const dg = before.data[i + 1] - after.data[j + 1];
+        const db = before.data[i + 2] - after.data[j + 2];
+        differs = Math.sqrt(dr * dr + dg * dg + db * db) > limit;
+      }
+      if (differs) {
+        changed++;
+        out[o] = 255; out[o + 1] = 0; out[o + 2] = 0; out[o + 3] = 255;
+      } else {
+        // greyscale, lightened, so the red stands out
+        const grey = 0.299 * after.data[j] + 0.587 * after.data[j + 1] + 0.114 * after.data[j + 2];
+        out[o] = out[o + 1] = out[o + 2] = Math.round(255 - (255 - grey) * 0.3);
+        out[o + 3] = 255;
+      }
+    }
+  }
+  const total = width * height;
+  return {
+    changedPixels: changed,
+    diffPct: total ? Math.round((changed / total) * 10000) / 100 : 0,
+    image: { width, height, data: out }
+  };
+}
@@ -0,0 +1,119 @@
+// src/lib/png.js
+import { inflateSync, deflateSync } from "zlib";
+
+/* ================================
+   minimal PNG codec (what Chromium screenshots use)
+   decodePng: 8-bit greyscale / RGB / RGBA / grey+alpha / palette, non-interlaced
+   encodePng: RGBA, filter 0
+   Images are { width, height, data: Uint8Array RGBA }.
+=================================== */
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+export function decodePng(buf) {
+  if (!Buffer.isBuffer(buf) || !buf.subarray(0, 8).equals(SIGNATURE)) throw new Error("not a PNG");
+  let width = 0, height = 0, depth = 0, colorType = 0, interlace = 0;
+  let palette = null;
+  let alphaTable = null;
+  const idat = [];
+  for (let off = 8; off < buf.length;) {
+    const len = buf.readUInt32BE(off);
+    const type = buf.toString("latin1", off + 4, off + 8);
+    const body = buf.subarray(off + 8, off + 8 + len);
+    if (type === "IHDR") {
+      width = body.readUInt32BE(0);
+      height = body.readUInt32BE(4);
+      depth = body[8];
+      colorType = body[9];
+      interlace = body[12];
+    } else if (type === "PLTE") palette = body;
+    else if (type === "tRNS") alphaTable = body;
+    else if (type === "IDAT") idat.push(body);
+    else if (type === "IEND") break;
+    off += 12 + len;
+  }
+  if (depth !== 8 || interlace || !(colorType in CHANNELS)) {
+    throw new Error(`unsupported PNG (bit depth ${depth}, color type ${colorType}${interlace ? ", interlaced" : ""})`);
+  }
+
+  const ch = CHANNELS[colorType];
+  const stride = width * ch;
+  const raw = inflateSync(Buffer.concat(idat));
+  const px = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const a = x >= ch ? px[row + x - ch] : 0;
+      const b = y ? px[row - stride + x] : 0;
+      const c = y && x >= ch ? px[row - stride + x - ch] : 0;
+      const v = line[x];
+      px[row + x] = filter === 0 ? v
+        : filter === 1 ? v + a
+        : filter === 2 ? v + b
+        : filter === 3 ? v + ((a + b) >> 1)
+        : v + paeth(a, b, c);
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const s = i * ch;
+    const d = i * 4;
+    if (colorType === 6) { data.set(px.subarray(s, s + 4), d); continue; }
+    if (colorType === 2) { data[d] = px[s]; data[d + 1] = px[s + 1]; data[d + 2] = px[s + 2]; data[d + 3] = 255; continue; }
+    if (colorType === 3) {
+      const p = px[s];
+      data[d] = palette[p * 3]; data[d + 1] = palette[p * 3 + 1]; data[d + 2] = palette[p * 3 + 2];
+      data[d + 3] = alphaTable && p < alphaTable.length ? alphaTable[p] : 255;
+      continue;
+    }
+    data[d] = data[d + 1] = data[d + 2] = px[s];
+    data[d + 3] = colorType === 4 ? px[s + 1] : 255;
+  }
+  return { width, height, data };
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+export function encodePng({ width, height, data }) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // RGBA
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  return Buffer.concat([SIGNATURE, chunk("IHDR", ihdr), chunk("IDAT", deflateSync(raw)), chunk("IEND", Buffer.alloc(0))]);
+}
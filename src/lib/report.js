@@ -0,0 +1,193 @@
+// src/lib/report.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { ensureDir, exists, readJson, writeJson } from "./fsutil.js";
+import { runUrl } from "./util.js";
+import { fmtChange } from "./diff.js";
+
+const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+const mdCell = (s) => String(s).replace(/\|/g, "\\|").replace(/\n/g, " ");
+
+/** "broken, 4× selector" / "stale since …" / anomalies for the error column */
+function healthNote(s) {
+  const parts = [];
+  if (s.health) parts.push(`${s.health.status}, ${s.health.consecutiveFailures}× ${s.health.errorKind}`);
+  if (s.stale) parts.push(`stale since ${s.stale}`);
+  if (s.anomaly) parts.push(s.anomaly.message);
+  return parts.join(" · ");
+}
+
+/* ================================
+   tiny report writer (HTML)
+=================================== */
+function outboxLine(outbox) {
+  if (!outbox) return "";
+  return `Outbox: ${outbox.pending} pending, ${outbox.dead} dead, ${outbox.retried ?? 0} retried this run`;
+}
+
+function htmlTable(summary) {
+  const rows = (summary || []).map(s => `
+    <tr>
+      <td><code>${s.name}</code></td>
+      <td style="text-align:center">${s.skipped ? `<small>${esc(s.skipped)}</small>` : s.changed ? "✅" : "—"}</td>
+      <td>${(s.changedKeys||[]).join(", ")}</td>
+      <td>${healthNote(s) ? `<small>${esc(healthNote(s))}</small> ` : ""}${s.error ? `<code>${esc(s.error)}</code>` : ""}</td>
+      <td><a href="../latest/${s.name}.json">latest</a>${s.diffImage ? ` · <a href="../${esc(s.diffImage)}">diff image</a>` : ""}</td>
+    </tr>
+  `).join("");
+  return `<table><thead><tr><th>Check</th><th>Changed</th><th>Keys</th><th>Error</th><th>JSON</th></tr></thead>
+  <tbody>${rows}</tbody></table>`;
+}
+
+function htmlChanges(summary) {
+  return (summary || []).filter(s => s.diff?.length).map(s => `
+    <h3><code>${s.name}</code></h3>
+    ${s.diffImage ? `<p><a href="../${esc(s.diffImage)}"><img src="../${esc(s.diffImage)}" alt="diff image" style="max-width:100%;border:1px solid #e5e7eb"></a></p>` : ""}
+    <table><thead><tr><th>Field</th><th>Change</th></tr></thead><tbody>
+    ${s.diff.map(d => `<tr><td><code>${esc(d.path)}</code></td><td>${esc(fmtChange(d, 300))}</td></tr>`).join("")}
+    </tbody></table>
+  `).join("");
+}
+
+/** HTML page under <dir>/reports/ (links point back up to latest/ and state/) */
+async function writeHTML(dir, file, title, body, { outbox } = {}) {
+  const html = `<!doctype html><meta charset="utf-8">
+  <title>${esc(title)}</title>
+  <style>
+    body{font:14px ui-sans-serif,system-ui,Segoe UI,Roboto,Helvetica,Arial;padding:20px;max-width:900px;margin:auto}
+    table{border-collapse:collapse;width:100%} th,td{border:1px solid #e5e7eb;padding:6px} th{background:#f9fafb;text-align:left}
+    code{background:#f3f4f6;padding:2px 6px;border-radius:6px}
+  </style>
+  <h1>Scrape ${esc(title)}</h1>
+  ${outbox ? `<p>${outboxLine(outbox)}</p>` : ""}
+  ${(outbox?.pendingItems || []).length ? `<ul>${outbox.pendingItems.map(p => `<li><code>${esc(p.check)}</code> → ${esc(p.channel)} (${p.attempts} attempts): ${esc(p.lastError || "")}</li>`).join("")}</ul>` : ""}
+  ${body}`;
+  const out = path.join(dir, "reports", file);
+  await ensureDir(path.dirname(out));
+  await fsp.writeFile(out, html, "utf8");
+}
+
+export async function writeGroupReportHTML(dir, group, summary, { outbox } = {}) {
+  const changes = htmlChanges(summary);
+  await writeHTML(dir, `report-${group}.html`, `Report — ${group}`, `${htmlTable(summary)}
+  ${changes ? `<h2>Changes</h2>${changes}` : ""}`, { outbox });
+}
+
+/* ================================
+   Markdown
+=================================== */
+function mdTable(summary) {
+  return [
+    `| Check | Changed | Keys | Error |`,
+    `|---|:---:|:--|:--|`,
+    ...summary.map(s => `| \`${s.name}\` | ${s.skipped ? `_${s.skipped}_` : s.changed ? "✅" : "—"} | ${s.changedKeys.join(", ")} | ${[healthNote(s) && `_${healthNote(s)}_`, s.error && "`" + mdCell(s.error) + "`"].filter(Boolean).join(" ")} |`)
+  ];
+}
+
+function mdChanges(summary, level = 2) {
+  const lines = [];
+  for (const s of summary.filter(s => s.diff?.length)) {
+    lines.push(``, `${"#".repeat(level + 1)} \`${s.name}\``, ``);
+    if (s.diffImage) lines.push(`![diff image](${s.diffImage})`, ``);
+    lines.push(`| Field | Change |`, `|:--|:--|`,
+      ...s.diff.map(d => `| \`${d.path}\` | ${mdCell(fmtChange(d, 300))} |`));
+  }
+  return lines.length ? [``, `${"#".repeat(level)} Changes`, ...lines] : [];
+}
+
+/** per-group reports (JSON + MD + HTML) */
+export async function writeGroupReports(resultsDir, group, summary, { outbox, run } = {}) {
+  await writeJson(path.join(resultsDir, `report-${group}.json`), {
+    generatedAt: new Date().toISOString(),
+    group,
+    ...(run ? { run } : {}),
+    summary,
+    outbox: outbox || null
+  });
+
+  const mdLines = [
+    `# Scrape Report (${new Date().toISOString()})`,
+    ``,
+    `Group: \`${group}\`  |  Run: ${runUrl() ?? "(local)"}`,
+    ``,
+    ...(outbox ? [outboxLine(outbox), ``] : []),
+    ...mdTable(summary),
+    ...mdChanges(summary)
+  ];
+  await fsp.writeFile(path.join(resultsDir, `report-${group}.md`), mdLines.join("\n") + "\n", "utf8");
+
+  await writeGroupReportHTML(resultsDir, group, summary, { outbox });
+}
+
+/* ================================
+   consolidated report (report.json / report.md / reports/report.html)
+   Every configured group's newest entry per check, gathered from the
+   report-<group>.json files in the results dir (report-all included), with
+   `group` on each entry and the group reports it was built from under `reports`.
+=================================== */
+export function countSummary(summary) {
+  return {
+    checks: summary.length,
+    changed: summary.filter(s => s.changed).length,
+    errors: summary.filter(s => s.error).length,
+    skipped: summary.filter(s => s.skipped).length
+  };
+}
+
+async function readGroupReports(resultsDir) {
+  let files = [];
+  try { files = await fsp.readdir(resultsDir); } catch {}
+  const reports = [];
+  for (const f of files.filter(f => /^report-.+\.json$/.test(f)).sort()) {
+    const r = await readJson(path.join(resultsDir, f));
+    if (r?.summary) reports.push({ group: r.group || f.slice(7, -5), ...r });
+  }
+  return reports;
+}
+
+export async function writeCombinedReport(resultsDir, { outbox } = {}) {
+  const reports = (await readGroupReports(resultsDir)).sort((a, b) => (a.generatedAt < b.generatedAt ? -1 : 1));
+  // newer reports overwrite older entries for the same check
+  const byName = new Map();
+  for (const r of reports) {
+    for (const s of r.summary) byName.set(s.name, { ...s, group: s.group || r.group });
+  }
+  // checks whose latest record was pruned (no longer configured) drop out
+  for (const name of byName.keys()) {
+    if (!(await exists(path.join(resultsDir, "latest", `${name}.json`)))) byName.delete(name);
+  }
+  const summary = [...byName.values()].sort((a, b) => (a.group === b.group ? (a.name < b.name ? -1 : 1) : a.group < b.group ? -1 : 1));
+  const groups = [...new Set(summary.map(s => s.group))];
+  const report = {
+    generatedAt: new Date().toISOString(),
+    groups,
+    reports: reports.map(r => ({ group: r.group, generatedAt: r.generatedAt, ...(r.run ? { run: r.run } : {}) })),
+    counts: countSummary(summary),
+    summary,
+    outbox: outbox || null
+  };
+  await writeJson(path.join(resultsDir, "report.json"), report);
+
+  const { counts } = report;
+  const mdLines = [
+    `# Scrape Report — all groups (${report.generatedAt})`,
+    ``,
+    `${counts.checks} checks: ${counts.changed} changed, ${counts.errors} errors, ${counts.skipped} skipped`,
+    ``,
+    ...(outbox ? [outboxLine(outbox), ``] : [])
+  ];
+  for (const g of groups) {
+    const items = summary.filter(s => s.group === g);
+    mdLines.push(`## ${g}`, ``, ...mdTable(items), ...mdChanges(items, 3), ``);
+  }
+  await fsp.writeFile(path.join(resultsDir, "report.md"), mdLines.join("\n") + "\n", "utf8");
+
+  const body = groups.map(g => {
+    const items = summary.filter(s => s.group === g);
+    const changes = htmlChanges(items);
+    return `<h2>${esc(g)}</h2>${htmlTable(items)}${changes ? `<h3>Changes</h3>${changes}` : ""}`;
+  }).join("\n");
+  await writeHTML(resultsDir, "report.html", "Report — all groups",
+    `<p>${counts.checks} checks: ${counts.changed} changed, ${counts.errors} errors, ${counts.skipped} skipped</p>${body}`, { outbox });
+  return report;
+}
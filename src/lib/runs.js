@@ -0,0 +1,89 @@
+// src/lib/runs.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { root } from "./config.js";
+import { readJson, writeJson } from "./fsutil.js";
+import { runUrl } from "./util.js";
+import { countSummary } from "./report.js";
+
+/* ================================
+   run manifests
+   Every (non-dry) run writes data/runs/<id>.json:
+     { id, group, groups, startedAt, finishedAt, durationMs, gitSha, url,
+       counts: { checks, changed, errors, skipped }, checks: [{ name, group, type, status, durationMs, … }] }
+   and data/runs/index.json lists the newest RUNS_KEEP (default 200) runs, newest
+   first, without the per-check part. Older manifests are deleted.
+=================================== */
+export const RUNS_KEEP = Math.max(1, Number(process.env.RUNS_KEEP || 200));
+const INDEX = "index.json";
+
+/** "2025-03-01T10-00-00-000Z-price" */
+export function runIdOf(startedAt, group) {
+  return `${startedAt.replace(/[:.]/g, "-")}-${group}`;
+}
+
+/** Commit the run is built from: GITHUB_SHA in CI, else `git rev-parse HEAD` */
+export async function gitSha() {
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA;
+  try {
+    const { stdout } = await promisify(execFile)("git", ["rev-parse", "HEAD"], { cwd: root, timeout: 5000 });
+    return stdout.trim() || null;
+  } catch { return null; }
+}
+
+function statusOf(s) {
+  if (s.error) return "error";
+  if (s.skipped) return "skipped";
+  return s.changed ? "changed" : "unchanged";
+}
+
+export function buildManifest({ id, group, startedAt, finishedAt, summary, gitSha = null }) {
+  return {
+    id,
+    group,
+    groups: [...new Set(summary.map(s => s.group).filter(Boolean))].sort(),
+    startedAt,
+    finishedAt,
+    durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+    gitSha,
+    url: runUrl(),
+    counts: countSummary(summary),
+    checks: summary.map(s => ({
+      name: s.name,
+      group: s.group ?? null,
+      type: s.type,
+      status: statusOf(s),
+      durationMs: s.durationMs ?? null,
+      ...(s.changedKeys?.length ? { changedKeys: s.changedKeys } : {}),
+      ...(s.skipped ? { skipped: s.skipped } : {}),
+      ...(s.error ? { error: s.error.split("\n")[0] } : {})
+    }))
+  };
+}
+
+/** Rebuild runs/index.json from the manifests, dropping those past `keep` */
+export async function rebuildRunIndex(runsDir, { keep = RUNS_KEEP } = {}) {
+  let files = [];
+  try { files = (await fsp.readdir(runsDir)).filter(f => f.endsWith(".json") && f !== INDEX); } catch {}
+  const runs = [];
+  for (const f of files) {
+    const m = await readJson(path.join(runsDir, f));
+    if (m?.id) runs.push({ file: f, m });
+  }
+  runs.sort((a, b) => (a.m.startedAt < b.m.startedAt ? 1 : a.m.startedAt > b.m.startedAt ? -1 : a.m.id < b.m.id ? 1 : -1));
+  for (const { file } of runs.slice(keep)) await fsp.rm(path.join(runsDir, file), { force: true });
+  const index = runs.slice(0, keep).map(({ m }) => {
+    const { checks, ...rest } = m;
+    return rest;
+  });
+  await writeJson(path.join(runsDir, INDEX), { generatedAt: new Date().toISOString(), runs: index });
+  return index;
+}
+
+export async function writeRunManifest(resultsDir, manifest) {
+  const runsDir = path.join(resultsDir, "runs");
+  await writeJson(path.join(runsDir, `${manifest.id}.json`), manifest);
+  await rebuildRunIndex(runsDir);
+}
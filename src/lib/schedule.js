@@ -0,0 +1,142 @@
+// src/lib/schedule.js
+/* ================================
+   per-check schedules
+   schedule: "every 16m" | "30m" | "2h" | "1d"     interval since the last run
+             "0 9 * * 1-5" | "@hourly" | "@daily"    5-field cron (lists, ranges, steps), evaluated in UTC
+   A check without a schedule is due on every run.
+=================================== */
+const UNIT_MS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+const MACROS = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *" };
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const FIELDS = [
+  { key: "minute", min: 0, max: 59 },
+  { key: "hour", min: 0, max: 23 },
+  { key: "dom", min: 1, max: 31 },
+  { key: "month", min: 1, max: 12, names: MONTHS, base: 1 },
+  { key: "dow", min: 0, max: 7, names: DAYS, base: 0 }
+];
+
+function cronValue(txt, f) {
+  const i = f.names ? f.names.indexOf(txt.toLowerCase()) : -1;
+  const n = i >= 0 ? i + f.base : Number(txt);
+  if (!/^\d+$/.test(txt) && i < 0) throw new Error(`bad ${f.key} value "${txt}"`);
+  if (n < f.min || n > f.max) throw new Error(`${f.key} ${n} out of range ${f.min}-${f.max}`);
+  return n;
+}
+
+function cronField(txt, f) {
+  const out = new Set();
+  for (const part of txt.split(",")) {
+    const [range, stepTxt] = part.split("/");
+    const step = stepTxt === undefined ? 1 : Number(stepTxt);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`bad step in "${part}"`);
+    let lo; let hi;
+    if (range === "*") { lo = f.min; hi = f.max; }
+    else if (range.includes("-")) { [lo, hi] = range.split("-").map(v => cronValue(v, f)); }
+    else { lo = cronValue(range, f); hi = stepTxt === undefined ? lo : f.max; }
+    if (lo > hi) throw new Error(`empty range "${range}"`);
+    for (let n = lo; n <= hi; n += step) out.add(f.key === "dow" && n === 7 ? 0 : n);
+  }
+  return out;
+}
+
+/** Parse a schedule string; throws with a readable message when it's malformed */
+export function parseSchedule(spec) {
+  const txt = String(spec).trim();
+  const every = txt.match(/^(?:every\s+)?(\d+)\s*([smhd])$/i);
+  if (every) {
+    const ms = Number(every[1]) * UNIT_MS[every[2].toLowerCase()];
+    if (!ms) throw new Error("interval must be greater than zero");
+    return { kind: "interval", ms };
+  }
+  const parts = (MACROS[txt] || txt).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected "every <n>m|h|d" or a 5-field cron expression, got "${txt}"`);
+  const cron = { kind: "cron" };
+  FIELDS.forEach((f, i) => { cron[f.key] = cronField(parts[i], f); });
+  // classic cron: when both day fields are restricted, either one matching is enough
+  cron.domAny = parts[2] === "*";
+  cron.dowAny = parts[4] === "*";
+  return cron;
+}
+
+function dayMatches(c, d) {
+  const dom = c.dom.has(d.getUTCDate());
+  const dow = c.dow.has(d.getUTCDay());
+  if (c.domAny && c.dowAny) return true;
+  if (c.domAny) return dow;
+  if (c.dowAny) return dom;
+  return dom || dow;
+}
+
+// Walks minute by minute but skips whole months/days/hours that can't match,
+// so even yearly expressions resolve in a few thousand steps.
+const MAX_STEPS = 200_000;
+
+/** Latest cron fire time at or before `at` (null if none within the search bound) */
+export function prevFire(c, at) {
+  const d = new Date(at); d.setUTCSeconds(0, 0);
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!c.month.has(d.getUTCMonth() + 1)) { d.setUTCDate(1); d.setUTCHours(0, 0, 0, 0); d.setTime(d - 60_000); continue; }
+    if (!dayMatches(c, d)) { d.setUTCHours(0, 0, 0, 0); d.setTime(d - 60_000); continue; }
+    if (!c.hour.has(d.getUTCHours())) { d.setUTCMinutes(0, 0, 0); d.setTime(d - 60_000); continue; }
+    if (!c.minute.has(d.getUTCMinutes())) { d.setTime(d - 60_000); continue; }
+    return d;
+  }
+  return null;
+}
+
+/** Earliest cron fire time strictly after `at` (null if none within the search bound) */
+export function nextFire(c, at) {
+  const d = new Date(at); d.setUTCSeconds(0, 0); d.setTime(d.getTime() + 60_000);
+  for (let i = 0; i < MAX_STEPS; i++) {
+    if (!c.month.has(d.getUTCMonth() + 1)) { d.setUTCDate(1); d.setUTCHours(0, 0, 0, 0); d.setUTCMonth(d.getUTCMonth() + 1); continue; }
+    if (!dayMatches(c, d)) { d.setUTCHours(24, 0, 0, 0); continue; }
+    if (!c.hour.has(d.getUTCHours())) { d.setUTCMinutes(60, 0, 0); continue; }
+    if (!c.minute.has(d.getUTCMinutes())) { d.setTime(d.getTime() + 60_000); continue; }
+    return d;
+  }
+  return null;
+}
+
+// Runs are triggered by an outside tick (Actions cron, the daemon loop) that drifts a little;
+// without some slack an interval run landing seconds early would wait a whole extra tick.
+const slackFor = (ms) => Math.min(60_000, ms / 10);
+
+/** Whether a check with this schedule should run at `now`, given its last run time */
+export function isDue(schedule, lastRun, now = new Date()) {
+  if (!schedule) return true;
+  const last = lastRun ? new Date(lastRun) : null;
+  if (!last || Number.isNaN(last.getTime())) return true;
+  const s = parseSchedule(schedule);
+  if (s.kind === "interval") return now - last >= s.ms - slackFor(s.ms);
+  const fire = prevFire(s, now);
+  return !!fire && fire > last;
+}
+
+/** When the check will next be due (a time <= now means "due now"); null if never */
+export function nextRunAt(schedule, lastRun, now = new Date()) {
+  const last = lastRun ? new Date(lastRun) : null;
+  if (!schedule || !last || Number.isNaN(last.getTime())) return new Date(now);
+  const s = parseSchedule(schedule);
+  if (s.kind === "interval") return new Date(last.getTime() + s.ms - slackFor(s.ms));
+  return isDue(schedule, lastRun, now) ? new Date(now) : nextFire(s, now);
+}
+
+/** Typical gap between runs: the interval, or the last gap between cron fires (null without a schedule) */
+export function expectedIntervalMs(schedule, now = new Date()) {
+  if (!schedule) return null;
+  const s = parseSchedule(schedule);
+  if (s.kind === "interval") return s.ms;
+  const last = prevFire(s, now);
+  const before = last && prevFire(s, new Date(last.getTime() - 60_000));
+  return before ? last - before : null;
+}
+
+/** Validator hook for the `schedule` field */
+export function scheduleProblems(spec) {
+  let s;
+  try { s = parseSchedule(spec); } catch (e) { return [{ message: e.message }]; }
+  if (s.kind === "cron" && !nextFire(s, new Date())) return [{ message: "cron expression never fires" }];
+  return [];
+}
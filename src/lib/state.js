@@ -0,0 +1,61 @@
+// src/lib/state.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { gzipSync, gunzipSync } from "zlib";
+import { ensureDir } from "./fsutil.js";
+
+/* ================================
+   per-check sidecar state
+   Bulky things a check needs next run but the dashboard doesn't (a sitemap's full
+   URL set, a page snapshot) live in data/state/<check>/<key>.json.gz instead of latest/*.json;
+   binary files (screenshot baselines) sit next to them under their own names.
+   Types get it as ctx.state; without one (tests, `cli show`) they run stateless.
+=================================== */
+
+/**
+ * State store for one check.
+ * `fallbackDir` is read when `dir` has nothing (dry runs read the published copy);
+ * `readOnly` turns write() into a no-op;
+ * `deferred` holds writes back until commit(), so a run that fails after extracting
+ * leaves the state its last good record was diffed against.
+ */
+export function checkState(name, { dir, fallbackDir = null, readOnly = false, deferred = false }) {
+  const fileIn = (base, key) => path.join(base, name, `${key}.json.gz`);
+  const pending = new Map(); // file -> bytes not written yet (deferred)
+  const readFile = async (file) => pending.get(file) ?? await fsp.readFile(file);
+  const readFrom = async (base, key) => {
+    try { return JSON.parse(gunzipSync(await readFile(fileIn(base, key))).toString("utf8")); } catch { return null; }
+  };
+  const put = async (file, body) => {
+    if (readOnly) return;
+    if (deferred) return void pending.set(file, body);
+    await ensureDir(path.dirname(file));
+    await fsp.writeFile(file, body);
+  };
+  return {
+    async read(key) {
+      return (await readFrom(dir, key)) ?? (fallbackDir ? await readFrom(fallbackDir, key) : null);
+    },
+    async write(key, value) {
+      await put(fileIn(dir, key), gzipSync(JSON.stringify(value)));
+    },
+    /** Raw files (images) are stored as-is under their own name: data/state/<check>/<file> */
+    async readBuffer(file) {
+      for (const base of [dir, fallbackDir].filter(Boolean)) {
+        try { return await readFile(path.join(base, name, file)); } catch {}
+      }
+      return null;
+    },
+    async writeBuffer(file, buf) {
+      await put(path.join(dir, name, file), buf);
+    },
+    /** Write what a deferred store held back */
+    async commit() {
+      for (const [file, body] of pending) {
+        await ensureDir(path.dirname(file));
+        await fsp.writeFile(file, body);
+      }
+      pending.clear();
+    }
+  };
+}
@@ -0,0 +1,175 @@
+// src/lib/steps.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { root } from "./config.js";
+import { ensureDir } from "./fsutil.js";
+import { expandEnv, missingEnv } from "./util.js";
+import { newPage, gotoSafely } from "./browser.js";
+
+/* ================================
+   browser flows: steps run after goto, before extraction
+   One action per step:
+     { click: "button.load-more", repeat: 5 }     // repeats stop once the element is gone
+     { fill: "#user", value: "${SITE_USER}" }     // ${ENV} placeholders, like json_api
+     { select: "#sort", value: "newest" }
+     { press: "#q", key: "Enter" }
+     { waitFor: ".results", state: "visible" }
+     { wait: "networkidle" | "load" | 1500 }       // load state, or milliseconds
+     { scroll: "bottom" | ".footer", repeat: 3 }
+     { evaluate: "document.querySelector('#promo')?.remove()" }
+     { goto: "https://example.com/account" }
+   Any step takes `optional: true` (failures are ignored), `unless: selector` (skipped
+   when that element is already on the page, e.g. a logged-in marker) and `timeoutMs`.
+   storageState: true keeps cookies/localStorage in .sessions/<check>.json (SESSION_DIR),
+   outside data/ because that is published.
+=================================== */
+const ACTIONS = ["goto", "click", "fill", "select", "press", "waitFor", "wait", "scroll", "evaluate"];
+const LOAD_STATES = ["load", "domcontentloaded", "networkidle"];
+const OPTIONAL_TIMEOUT_MS = 5000;
+
+export function sessionDir() {
+  return path.resolve(root, process.env.SESSION_DIR || ".sessions");
+}
+
+const actionOf = (step) => ACTIONS.find(a => step[a] !== undefined);
+
+export const stepsSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      goto: { type: "string" },
+      click: { type: "string" },
+      fill: { type: "string" },
+      select: { type: "string" },
+      press: { type: "string" },
+      waitFor: { type: "string" },
+      wait: { type: ["string", "number"] },
+      scroll: { type: "string" },
+      evaluate: { type: "string" },
+      value: { type: ["string", "array"] },
+      key: { type: "string" },
+      state: { type: "string", enum: ["attached", "detached", "visible", "hidden"] },
+      repeat: { type: "number" },
+      optional: { type: "boolean" },
+      unless: { type: "string" },
+      timeoutMs: { type: "number" }
+    },
+    validate(step) {
+      const actions = ACTIONS.filter(a => step[a] !== undefined);
+      if (actions.length !== 1) {
+        return [{ path: "", message: actions.length ? `one action per step (got ${actions.join(", ")})` : `needs one of ${ACTIONS.join(", ")}` }];
+      }
+      const [a] = actions;
+      if ((a === "fill" || a === "select") && step.value === undefined) return [{ path: "value", message: `is required for "${a}"` }];
+      if (a === "press" && !step.key) return [{ path: "key", message: `is required for "press"` }];
+      if (a === "wait" && typeof step.wait === "string" && !LOAD_STATES.includes(step.wait)) {
+        return [{ path: "wait", message: `must be milliseconds or one of ${LOAD_STATES.join(", ")}` }];
+      }
+      return [];
+    }
+  }
+};
+
+/** Schema fields a browser-based type accepts for flows (spread into its schema) */
+export const flowSchema = {
+  steps: stepsSchema,
+  storageState: { type: "boolean" }
+};
+
+/** Short label for errors/logs; never includes fill values */
+function describeStep(step, i) {
+  const a = actionOf(step);
+  return `step ${i + 1} (${a} ${JSON.stringify(step[a])})`;
+}
+
+async function settle(page) {
+  await page.waitForLoadState("networkidle", { timeout: OPTIONAL_TIMEOUT_MS }).catch(() => {});
+}
+
+async function runStep(page, step, env) {
+  const timeout = step.timeoutMs ?? (step.optional ? OPTIONAL_TIMEOUT_MS : undefined);
+  const repeat = Math.max(1, step.repeat ?? 1);
+  switch (actionOf(step)) {
+    case "goto":
+      return gotoSafely(page, expandEnv(step.goto, env));
+    case "click":
+      for (let n = 0; n < repeat; n++) {
+        const el = page.locator(step.click).first();
+        // "load more" style repeats end when the button goes away
+        if (n > 0 && !(await el.isVisible())) break;
+        await el.click({ timeout });
+        if (repeat > 1) await settle(page);
+      }
+      return;
+    case "fill":
+      return page.fill(step.fill, expandEnv(step.value, env), { timeout });
+    case "select":
+      return page.selectOption(step.select, expandEnv(step.value, env), { timeout });
+    case "press":
+      return page.press(step.press, step.key, { timeout });
+    case "waitFor":
+      return page.waitForSelector(step.waitFor, { state: step.state || "visible", timeout });
+    case "wait":
+      return typeof step.wait === "number"
+        ? page.waitForTimeout(step.wait)
+        : page.waitForLoadState(step.wait, { timeout });
+    case "scroll":
+      for (let n = 0; n < repeat; n++) {
+        if (step.scroll === "bottom") await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+        else await page.locator(step.scroll).first().scrollIntoViewIfNeeded({ timeout });
+        await settle(page);
+      }
+      return;
+    case "evaluate":
+      return page.evaluate(step.evaluate);
+  }
+}
+
+/** Run a check's steps in order; a failing step (unless optional) fails the check */
+export async function runSteps(page, steps = [], { env = process.env } = {}) {
+  const missing = missingEnv(steps.map(s => [s.goto, s.value]), env);
+  if (missing.length) throw new Error(`missing env: ${missing.join(", ")}`);
+  for (const [i, step] of steps.entries()) {
+    if (step.unless && await page.locator(step.unless).count()) continue;
+    try {
+      await runStep(page, step, env);
+    } catch (e) {
+      if (step.optional) continue;
+      throw new Error(`${describeStep(step, i)} failed: ${String(e.message || e).split("\n")[0]}`);
+    }
+  }
+}
+
+/**
+ * newPage + goto + the check's steps. With storageState the saved session is loaded
+ * first and written back on close (real runs only: ctx.persist).
+ */
+export async function openCheckPage(check, { persist = false } = {}, pageOptions = {}, url = check.url) {
+  const sessionFile = check.storageState ? path.join(sessionDir(), `${check.name}.json`) : null;
+  let storageState;
+  if (sessionFile) {
+    try { storageState = JSON.parse(await fsp.readFile(sessionFile, "utf8")); } catch {}
+  }
+  const { context, page, close } = await newPage({ ...pageOptions, storageState });
+  let ok = false;
+  try {
+    await gotoSafely(page, url);
+    await runSteps(page, check.steps);
+    ok = true;
+  } finally {
+    if (!ok) await close();
+  }
+  return {
+    page,
+    async close() {
+      if (sessionFile && persist) {
+        try {
+          await ensureDir(path.dirname(sessionFile));
+          await context.storageState({ path: sessionFile });
+        } catch {}
+      }
+      await close();
+    }
+  };
+}
@@ -0,0 +1,108 @@
+// src/lib/structured.js
+import { decodeEntities } from "./html.js";
+
+/* ================================
+   structured data in an HTML document
+   extractStructuredData(html) -> {
+     jsonld:    [node, ...]          every JSON-LD object (arrays and @graph flattened)
+     microdata: [item, ...]          top-level itemscope items, nested items inlined
+     meta:      { "og:title": ... }  <meta property|name> + <title> + canonical link
+   }
+=================================== */
+function attrsOf(txt) {
+  const out = {};
+  for (const m of txt.matchAll(/([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    out[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return out;
+}
+
+export function extractJsonLd(html) {
+  const nodes = [];
+  const flat = (v) => {
+    if (Array.isArray(v)) v.forEach(flat);
+    else if (v && typeof v === "object") v["@graph"] ? flat(v["@graph"]) : nodes.push(v);
+  };
+  for (const m of html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)) {
+    if (!/type\s*=\s*["']?application\/ld\+json/i.test(m[1])) continue;
+    const txt = m[2].trim().replace(/^(<!\[CDATA\[|<!--)|(\]\]>|-->)$/g, "").trim();
+    try { flat(JSON.parse(txt)); } catch {} // one broken block shouldn't hide the valid ones
+  }
+  return nodes;
+}
+
+export function extractMeta(html) {
+  const meta = {};
+  for (const m of html.matchAll(/<meta\b([^>]*)>/gi)) {
+    const a = attrsOf(m[1]);
+    const key = a.property || a.name;
+    if (key && a.content != null && !(key in meta)) meta[key] = a.content;
+  }
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  if (title && !("title" in meta)) meta.title = decodeEntities(title[1]).replace(/\s+/g, " ").trim();
+  for (const m of html.matchAll(/<link\b([^>]*)>/gi)) {
+    const a = attrsOf(m[1]);
+    if (/\bcanonical\b/i.test(a.rel || "") && a.href && !("canonical" in meta)) meta.canonical = a.href;
+  }
+  return meta;
+}
+
+const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+// where an itemprop's value lives for elements whose text isn't the value
+const VALUE_ATTR = {
+  meta: "content", a: "href", link: "href", area: "href", img: "src", audio: "src", video: "src",
+  source: "src", iframe: "src", embed: "src", object: "data", time: "datetime", data: "value", meter: "value"
+};
+
+/** Walks the tag stream keeping a stack of open elements; tolerant of unclosed tags */
+export function extractMicrodata(html) {
+  const top = [];
+  const stack = [];
+  const body = html.replace(/<!--[\s\S]*?-->/g, "").replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, "");
+  const nearestItem = () => stack.findLast(el => el.item)?.item ?? null;
+
+  const finish = (el) => {
+    if (el.props && el.parentItem) {
+      const value = el.item ?? el.value ?? el.text.join("").replace(/\s+/g, " ").trim();
+      for (const p of el.props) {
+        el.parentItem[p] = p in el.parentItem ? [].concat(el.parentItem[p], [value]) : value;
+      }
+    } else if (el.item) {
+      top.push(el.item);
+    }
+  };
+
+  for (const m of body.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|([^<]+)/g)) {
+    if (m[4] != null) {
+      const t = decodeEntities(m[4]);
+      for (const el of stack) if (el.text) el.text.push(t);
+      continue;
+    }
+    const tag = m[2].toLowerCase();
+    if (m[1]) {
+      const i = stack.findLastIndex(el => el.tag === tag);
+      while (i >= 0 && stack.length > i) finish(stack.pop());
+      continue;
+    }
+    const a = attrsOf(m[3]);
+    const el = { tag, parentItem: nearestItem() };
+    if ("itemprop" in a) el.props = a.itemprop.split(/\s+/).filter(Boolean);
+    if ("itemscope" in a) {
+      el.item = {};
+      if (a.itemtype) el.item["@type"] = a.itemtype.split(/\s+/)[0].replace(/^.*[/#]/, "");
+    } else if (el.props) {
+      const attr = VALUE_ATTR[tag];
+      if (attr && a[attr] != null) el.value = a[attr];
+      else if (a.content != null) el.value = a.content;
+      else el.text = [];
+    }
+    if (VOID.has(tag) || /\/\s*$/.test(m[3])) finish(el);
+    else stack.push(el);
+  }
+  while (stack.length) finish(stack.pop());
+  return top;
+}
+
+export function extractStructuredData(html) {
+  return { jsonld: extractJsonLd(html), microdata: extractMicrodata(html), meta: extractMeta(html) };
+}
@@ -0,0 +1,86 @@
+// src/lib/textdiff.js
+/* ================================
+   token-level text diff (lines or words)
+   diffTokens(a, b) -> [{ op: "=" | "+" | "-", items: [...] }, ...] in document order.
+   Common prefix/suffix are trimmed first; the middle is an exact LCS while it fits
+   in MAX_CELLS, otherwise a multiset diff (which tokens came and went, order ignored).
+=================================== */
+const MAX_CELLS = 4_000_000;
+
+function lcsOps(a, b) {
+  const n = a.length;
+  const m = b.length;
+  // table[i][j] = LCS length of a[i..] and b[j..], flattened
+  const w = m + 1;
+  const table = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * w + j] = a[i] === b[j] ? table[(i + 1) * w + j + 1] + 1 : Math.max(table[(i + 1) * w + j], table[i * w + j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { ops.push(["=", a[i]]); i++; j++; }
+    else if (table[(i + 1) * w + j] >= table[i * w + j + 1]) ops.push(["-", a[i++]]);
+    else ops.push(["+", b[j++]]);
+  }
+  while (i < n) ops.push(["-", a[i++]]);
+  while (j < m) ops.push(["+", b[j++]]);
+  return ops;
+}
+
+function multisetOps(a, b) {
+  const left = new Map();
+  for (const x of a) left.set(x, (left.get(x) || 0) + 1);
+  const ops = [];
+  const kept = new Map();
+  for (const x of b) {
+    if (left.get(x)) { left.set(x, left.get(x) - 1); kept.set(x, (kept.get(x) || 0) + 1); ops.push(["=", x]); }
+    else ops.push(["+", x]);
+  }
+  for (const x of a) {
+    if (kept.get(x)) kept.set(x, kept.get(x) - 1);
+    else ops.push(["-", x]);
+  }
+  return ops;
+}
+
+export function diffTokens(a = [], b = []) {
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const midA = a.slice(pre, a.length - suf);
+  const midB = b.slice(pre, b.length - suf);
+  const mid = midA.length * midB.length <= MAX_CELLS ? lcsOps(midA, midB) : multisetOps(midA, midB);
+
+  const flat = [...a.slice(0, pre).map(x => ["=", x]), ...mid, ...a.slice(a.length - suf).map(x => ["=", x])];
+  const out = [];
+  for (const [op, x] of flat) {
+    if (out.length && out[out.length - 1].op === op) out[out.length - 1].items.push(x);
+    else out.push({ op, items: [x] });
+  }
+  return out;
+}
+
+/** Share of tokens both sides have in common, 0..100 (100 = identical) */
+export function similarity(ops) {
+  let same = 0;
+  let total = 0;
+  for (const { op, items } of ops) {
+    total += op === "=" ? items.length * 2 : items.length;
+    if (op === "=") same += items.length * 2;
+  }
+  return total ? (same / total) * 100 : 100;
+}
+
+/** Added / removed runs as short text snippets */
+export function snippets(ops, { joiner = "\n", max = 20, maxLength = 300 } = {}) {
+  const pick = (sign) => ops.filter(o => o.op === sign).slice(0, max).map(o => {
+    const s = o.items.join(joiner);
+    return s.length > maxLength ? s.slice(0, maxLength - 1) + "…" : s;
+  });
+  return { added: pick("+"), removed: pick("-") };
+}
@@ -0,0 +1,168 @@
+// src/lib/timeseries.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { ensureDir, exists } from "./fsutil.js";
+
+/* ================================
+   time-series storage
+   A series is three JSONL files next to each other:
+     <base>.jsonl         raw points  { t, v, m: { change: -0.4, ... } }   (m = extra metrics)
+     <base>.hourly.jsonl  rollups     { t, n, v, min, max, last, m: { change: { n, v, min, max } } }
+     <base>.daily.jsonl   the same per UTC day
+   (`v` of a rollup is the bucket average, so readers of raw points read rollups too.)
+   Raw points and hourly rollups are dropped after rawDays / hourlyDays; daily ones are
+   kept unless dailyDays is set. Defaults: TS_RAW_DAYS (14), TS_HOURLY_DAYS (180),
+   TS_DAILY_DAYS (0 = forever); a check's `retention` overrides them.
+=================================== */
+const DAY_MS = 86_400_000;
+export const ROLLUPS = ["hourly", "daily"];
+
+export const retentionSchema = {
+  type: "object",
+  properties: {
+    rawDays: { type: "number" },
+    hourlyDays: { type: "number" },
+    dailyDays: { type: "number" }
+  }
+};
+
+/** Retention (days, 0 = keep forever) for a check */
+export function retentionFor(check = {}, env = process.env) {
+  const num = (v, dflt) => (v === undefined || v === "" || Number.isNaN(Number(v)) ? dflt : Number(v));
+  return {
+    rawDays: num(check.retention?.rawDays, num(env.TS_RAW_DAYS, 14)),
+    hourlyDays: num(check.retention?.hourlyDays, num(env.TS_HOURLY_DAYS, 180)),
+    dailyDays: num(check.retention?.dailyDays, num(env.TS_DAILY_DAYS, 0))
+  };
+}
+
+const fileOf = (base, kind) => (kind === "raw" ? `${base}.jsonl` : `${base}.${kind}.jsonl`);
+const round = (x) => Math.round(x * 1e6) / 1e6;
+
+/** Start of the hour / UTC day `t` falls in, as an ISO string */
+export function bucketOf(t, kind) {
+  const d = new Date(t);
+  if (kind === "daily") d.setUTCHours(0, 0, 0, 0);
+  else d.setUTCMinutes(0, 0, 0);
+  return d.toISOString();
+}
+
+export async function readPoints(file) {
+  try {
+    const txt = await fsp.readFile(file, "utf8");
+    return txt.split("\n").filter(Boolean).map(l => { try { return JSON.parse(l); } catch { return null; } }).filter(Boolean);
+  } catch { return []; }
+}
+
+export async function writePoints(file, points) {
+  await ensureDir(path.dirname(file));
+  await fsp.writeFile(file, points.map(p => JSON.stringify(p)).join("\n") + (points.length ? "\n" : ""), "utf8");
+}
+
+/** Fold one raw point into a rollup bucket (null = start a new one) */
+function addToBucket(b, p, t) {
+  const n = b ? b.n : 0;
+  const out = b ? { ...b } : { t, n: 0 };
+  out.v = n ? round(b.v + (p.v - b.v) / (n + 1)) : p.v;
+  out.min = n ? Math.min(b.min, p.v) : p.v;
+  out.max = n ? Math.max(b.max, p.v) : p.v;
+  out.n = n + 1;
+  out.last = p.v;
+  // each metric keeps its own count: points without it don't drag its average
+  const m = { ...(b?.m || {}) };
+  for (const [k, v] of Object.entries(p.m || {})) {
+    if (typeof v !== "number" || !Number.isFinite(v)) continue;
+    const st = m[k];
+    m[k] = st
+      ? { n: st.n + 1, v: round(st.v + (v - st.v) / (st.n + 1)), min: Math.min(st.min, v), max: Math.max(st.max, v) }
+      : { n: 1, v, min: v, max: v };
+  }
+  if (Object.keys(m).length) out.m = m;
+  return out;
+}
+
+/** Roll raw points up into hourly or daily buckets */
+export function rollup(points, kind) {
+  const out = [];
+  for (const p of points) {
+    const t = bucketOf(p.t, kind);
+    const i = out.length - 1;
+    if (i >= 0 && out[i].t === t) out[i] = addToBucket(out[i], p, t);
+    else out.push(addToBucket(null, p, t));
+  }
+  return out;
+}
+
+const cutoff = (days, now) => (days > 0 ? new Date(now.getTime() - days * DAY_MS).toISOString() : null);
+const keepSince = (points, since) => (since ? points.filter(p => p.t >= since) : points);
+
+/** Time of the first raw point, read without loading the whole file */
+async function firstTime(file) {
+  let fh;
+  try {
+    fh = await fsp.open(file, "r");
+    const { buffer, bytesRead } = await fh.read(Buffer.alloc(512), 0, 512, 0);
+    return buffer.toString("utf8", 0, bytesRead).match(/"t"\s*:\s*"([^"]+)"/)?.[1] ?? null;
+  } catch { return null; } finally { await fh?.close(); }
+}
+
+/**
+ * Append a raw point and fold it into the rollups; once the oldest raw point is a day
+ * past retention (or the rollups are missing) the series is compacted.
+ */
+export async function appendPoint(base, point, { retention = retentionFor(), now = new Date(point.t) } = {}) {
+  const raw = fileOf(base, "raw");
+  // a series from before rollups existed gets them built from its raw points
+  const backfill = !(await exists(fileOf(base, "hourly"))) && await exists(raw);
+  await ensureDir(path.dirname(raw));
+  await fsp.appendFile(raw, JSON.stringify(point) + "\n", "utf8");
+  for (const kind of ROLLUPS) {
+    const file = fileOf(base, kind);
+    const buckets = await readPoints(file);
+    const t = bucketOf(point.t, kind);
+    const last = buckets.at(-1);
+    if (last?.t === t) buckets[buckets.length - 1] = addToBucket(last, point, t);
+    else buckets.push(addToBucket(null, point, t));
+    await writePoints(file, buckets);
+  }
+  const first = await firstTime(raw);
+  const since = cutoff(retention.rawDays + 1, now);
+  if (backfill || (first && since && first < since)) await compactSeries(base, { retention, now });
+}
+
+/**
+ * Rebuild the rollups from the raw points (a rebuilt bucket only replaces a stored one
+ * with at least as many points, so buckets of already-dropped raw data survive), then
+ * apply retention. Returns { raw, hourly, daily } point counts before → after.
+ */
+export async function compactSeries(base, { retention = retentionFor(), now = new Date() } = {}) {
+  const counts = {};
+  const raw = await readPoints(fileOf(base, "raw"));
+  for (const kind of ROLLUPS) {
+    const stored = await readPoints(fileOf(base, kind));
+    const byT = new Map(stored.map(b => [b.t, b]));
+    for (const b of rollup(raw, kind)) {
+      if (!byT.has(b.t) || byT.get(b.t).n <= b.n) byT.set(b.t, b);
+    }
+    const days = kind === "hourly" ? retention.hourlyDays : retention.dailyDays;
+    const kept = keepSince([...byT.values()].sort((a, b) => (a.t < b.t ? -1 : a.t > b.t ? 1 : 0)), cutoff(days, now));
+    counts[kind] = [stored.length, kept.length];
+    await writePoints(fileOf(base, kind), kept);
+  }
+  const keptRaw = keepSince(raw, cutoff(retention.rawDays, now));
+  counts.raw = [raw.length, keptRaw.length];
+  await writePoints(fileOf(base, "raw"), keptRaw);
+  return counts;
+}
+
+/** Every series base path under one check's timeseries dir (main series + items) */
+export async function seriesBases(dir) {
+  const bases = [];
+  if (await exists(fileOf(path.join(dir, "series"), "raw"))) bases.push(path.join(dir, "series"));
+  try {
+    for (const f of (await fsp.readdir(path.join(dir, "items"))).sort()) {
+      if (/^[^.]+\.jsonl$/.test(f)) bases.push(path.join(dir, "items", f.replace(/\.jsonl$/, "")));
+    }
+  } catch {}
+  return bases;
+}
@@ -0,0 +1,45 @@
+// src/lib/util.js
+/* ================================
+   utils
+=================================== */
+export const delay = (ms) => new Promise((r) => setTimeout(r, ms));
+export async function withRetry(label, fn, { tries = 3, baseMs = 800, factor = 1, shouldRetry = () => true } = {}) {
+  let lastErr, attempts = 0;
+  for (let i = 1; i <= tries; i++) {
+    attempts = i;
+    try { return await fn(); } catch (e) {
+      lastErr = e;
+      if (!shouldRetry(e)) break;
+      // factor 1 = linear (baseMs, 2×, 3×…), factor 2 = exponential (baseMs, 2×, 4×…)
+      if (i < tries) await delay(factor === 1 ? baseMs * i : baseMs * factor ** (i - 1));
+    }
+  }
+  throw new Error(`${label} failed after ${attempts} attempt${attempts === 1 ? "" : "s"}: ${String(lastErr)}`);
+}
+export function runUrl() {
+  const s = process.env.GITHUB_SERVER_URL;
+  const r = process.env.GITHUB_REPOSITORY;
+  const id = process.env.GITHUB_RUN_ID;
+  if (s && r && id) return `${s}/${r}/actions/runs/${id}`;
+  return null;
+}
+/** Finite number or null */
+export function numOrNull(v) {
+  return (typeof v === "number" && Number.isFinite(v)) ? v : null;
+}
+/** Read a dotted path ("quotes.NTDOY.price", "items.0.sku") out of an object */
+export function getPath(obj, p) {
+  return String(p).split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+/** Fill `${NAME}` / `${NAME:-fallback}` placeholders from process.env (recursively for objects/arrays) */
+export function expandEnv(v, env = process.env) {
+  if (typeof v === "string") return v.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/gi, (_, k, dflt) => env[k] || (dflt ?? ""));
+  if (Array.isArray(v)) return v.map(x => expandEnv(x, env));
+  if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, expandEnv(x, env)]));
+  return v;
+}
+/** Required `${NAME}` placeholders in v whose env var is unset/empty (`${NAME:-…}` is optional) */
+export function missingEnv(v, env = process.env) {
+  const names = [...JSON.stringify(v ?? null).matchAll(/\$\{([A-Z0-9_]+)\}/gi)].map(m => m[1]);
+  return [...new Set(names)].filter(k => !env[k]);
+}
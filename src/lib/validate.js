@@ -0,0 +1,165 @@
+// src/lib/validate.js
+import { alertSchema } from "./alerts.js";
+import { scheduleProblems } from "./schedule.js";
+import { healthSchema } from "./health.js";
+import { retentionSchema } from "./timeseries.js";
+import { anomalySchema } from "./anomaly.js";
+
+/* ================================
+   config schema validation
+   Field spec: { type, required, enum, pattern, items, properties, values, validate }
+     type: "string" | "number" | "boolean" | "object" | "array" | "url" | "regex"
+           (or an array of those)
+     items:      spec (or type name) for every array element
+     properties: nested schema for an object
+     values:     spec for every value of a map-like object
+     validate:   (value) => [{ path, message }] for rules the above can't express
+=================================== */
+
+/** Fields every check may carry regardless of type */
+export const commonSchema = {
+  name: { type: "string", required: true, pattern: /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/ },
+  type: { type: "string", required: true },
+  group: { type: "string" },
+  url: { type: "url" },
+  schedule: { type: "string", validate: scheduleProblems },
+  ignoreKeys: { type: "array", items: "string" },
+  alerts: alertSchema,
+  notify: { type: "array", items: "string" },
+  health: healthSchema,
+  retention: retentionSchema,
+  anomaly: anomalySchema
+};
+
+function typeOf(v) {
+  if (Array.isArray(v)) return "array";
+  if (v === null) return "null";
+  return typeof v;
+}
+function matchesType(v, t) {
+  if (t === "url") {
+    if (typeof v !== "string") return false;
+    try { new URL(v); return true; } catch { return false; }
+  }
+  if (t === "regex") {
+    if (typeof v !== "string") return false;
+    try { new RegExp(v); return true; } catch { return false; }
+  }
+  if (t === "number") return typeof v === "number" && Number.isFinite(v);
+  if (t === "object") return typeOf(v) === "object";
+  return typeOf(v) === t;
+}
+
+/** Levenshtein distance, for "did you mean" hints */
+function distance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return d[a.length][b.length];
+}
+export function didYouMean(word, candidates) {
+  let best = null; let bestD = Infinity;
+  for (const c of candidates) {
+    const dd = distance(String(word).toLowerCase(), c.toLowerCase());
+    if (dd < bestD) { bestD = dd; best = c; }
+  }
+  return best && bestD <= Math.max(2, Math.floor(best.length / 3)) ? best : null;
+}
+
+function validateValue(value, spec, at, out) {
+  if (typeof spec === "string") spec = { type: spec };
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  if (spec.type && !types.some(t => matchesType(value, t))) {
+    const want = types.map(t => t === "regex" ? "valid regex" : t === "url" ? "absolute URL" : t).join(" or ");
+    out.push({ path: at, message: `expected ${want}, got ${typeOf(value) === "string" ? JSON.stringify(value) : typeOf(value)}` });
+    return;
+  }
+  if (spec.enum && !spec.enum.includes(value)) {
+    out.push({ path: at, message: `must be one of ${spec.enum.map(e => JSON.stringify(e)).join(", ")}` });
+  }
+  if (spec.pattern && typeof value === "string" && !spec.pattern.test(value)) {
+    out.push({ path: at, message: `does not match ${spec.pattern}` });
+  }
+  if (spec.items && Array.isArray(value)) {
+    value.forEach((v, i) => validateValue(v, spec.items, `${at}[${i}]`, out));
+  }
+  if (spec.properties && typeOf(value) === "object") {
+    validateObject(value, spec.properties, at, out);
+  }
+  if (spec.values && typeOf(value) === "object") {
+    for (const [k, v] of Object.entries(value)) validateValue(v, spec.values, `${at}.${k}`, out);
+  }
+  if (spec.validate) {
+    for (const p of spec.validate(value)) out.push({ path: p.path ? `${at}.${p.path}` : at, message: p.message });
+  }
+}
+
+function validateObject(obj, schema, at, out) {
+  for (const [key, spec] of Object.entries(schema)) {
+    const p = at ? `${at}.${key}` : key;
+    if (obj[key] === undefined) {
+      if (spec.required) out.push({ path: p, message: "is required" });
+      continue;
+    }
+    validateValue(obj[key], spec, p, out);
+  }
+  for (const key of Object.keys(obj)) {
+    if (key in schema) continue;
+    const hint = didYouMean(key, Object.keys(schema));
+    out.push({ path: at ? `${at}.${key}` : key, message: `unknown field${hint ? ` (did you mean "${hint}"?)` : ""}` });
+  }
+}
+
+/** Validate one object against a schema; returns [{ path, message }] */
+export function validateFields(obj, schema) {
+  const out = [];
+  if (typeOf(obj) !== "object") return [{ path: "", message: `expected an object, got ${typeOf(obj)}` }];
+  validateObject(obj, schema, "", out);
+  return out;
+}
+
+/**
+ * Validate the exported checks array against the common schema plus each
+ * type's own schema. Returns every problem found as [{ check, path, message }].
+ */
+export function validateChecks(checks, getCheckType, typeNames = []) {
+  const problems = [];
+  if (!Array.isArray(checks)) {
+    return [{ check: "checks.js", path: "", message: "default export must be an array of checks" }];
+  }
+  const seen = new Map();
+  checks.forEach((check, i) => {
+    const label = typeof check?.name === "string" && check.name ? check.name : `#${i}`;
+    const push = (p) => problems.push({ check: label, ...p });
+    if (typeOf(check) !== "object") {
+      push({ path: "", message: `expected an object, got ${typeOf(check)}` });
+      return;
+    }
+
+    if (typeof check.name === "string") {
+      if (seen.has(check.name)) push({ path: "name", message: `duplicate name (also used by check #${seen.get(check.name)})` });
+      else seen.set(check.name, i);
+    }
+
+    const def = typeof check.type === "string" ? getCheckType(check.type) : null;
+    if (typeof check.type === "string" && !def) {
+      const hint = didYouMean(check.type, typeNames);
+      push({ path: "type", message: `unknown check type "${check.type}"${hint ? ` (did you mean "${hint}"?)` : ""}` });
+    }
+
+    const out = [];
+    validateObject(check, { ...commonSchema, ...(def?.schema || {}) }, "", out);
+    // an unknown type can't vouch for its own fields; only report the common ones
+    for (const p of out) {
+      if (!def && p.message.startsWith("unknown field")) continue;
+      push(p);
+    }
+    // cross-field rules the per-field specs can't express
+    if (def?.validate && !out.length) for (const p of def.validate(check)) push(p);
+  });
+  return problems;
+}
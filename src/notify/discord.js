@@ -0,0 +1,35 @@
+// src/notify/discord.js
+import { fmtChange, titleFor, summaryLine } from "./format.js";
+import { postJson } from "./http.js";
+
+/* ================================
+   Discord webhook (embeds)
+=================================== */
+export default {
+  type: "discord",
+  schema: {
+    url: { type: "string", required: true },
+    username: { type: "string" }
+  },
+  format(ev) {
+    return {
+      embeds: [{
+        title: titleFor(ev),
+        url: ev.url || undefined,
+        description: summaryLine(ev).slice(0, 4000),
+        color: ev.alerts.length ? 0xb45309 : 0x047857,
+        // Discord caps an embed at 25 fields
+        fields: ev.diff.slice(0, 25).map(d => ({
+          name: d.path,
+          value: fmtChange(d, 400).slice(0, 1024),
+          inline: false
+        })),
+        footer: ev.runUrl ? { text: ev.runUrl } : undefined,
+        timestamp: ev.checkedAt
+      }]
+    };
+  },
+  send(channel, body, { idempotencyKey } = {}) {
+    return postJson(channel.url, channel.username ? { ...body, username: channel.username } : body, { idempotencyKey });
+  }
+};
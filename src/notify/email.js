@@ -0,0 +1,114 @@
+// src/notify/email.js
+import net from "net";
+import os from "os";
+import { fmtChange, plainText, titleFor, summaryLine } from "./format.js";
+
+/* ================================
+   email over plain SMTP (local mail server / relay, no TLS)
+=================================== */
+const esc = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+
+function htmlBody(ev) {
+  const rows = ev.diff.map(d =>
+    `<tr><td><code>${esc(d.path)}</code></td><td>${esc(fmtChange(d, 400))}</td></tr>`
+  ).join("");
+  return `<!doctype html><meta charset="utf-8">
+<h2 style="font-family:sans-serif">${esc(titleFor(ev))}</h2>
+<p style="font-family:sans-serif">${esc(summaryLine(ev))}</p>
+${rows ? `<table border="1" cellpadding="6" style="border-collapse:collapse;font-family:sans-serif"><tr><th>Field</th><th>Change</th></tr>${rows}</table>` : ""}
+${ev.url ? `<p><a href="${esc(ev.url)}">source</a>${ev.runUrl ? ` · <a href="${esc(ev.runUrl)}">run</a>` : ""}</p>` : ""}`;
+}
+
+/** RFC 2047 encoded-word so emoji/umlauts survive in the Subject */
+const encodeHeader = (s) => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`;
+
+function buildMime({ from, to, subject, text, html, messageId }) {
+  const boundary = `b_${Date.now().toString(36)}_${Math.random().toString(36).slice(2)}`;
+  const b64 = (s) => Buffer.from(s).toString("base64").replace(/.{76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    ...(messageId ? [`Message-ID: <${messageId}@scraping-checks-scheduler>`] : []),
+    `MIME-Version: 1.0`,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    ``,
+    `--${boundary}`,
+    `Content-Type: text/plain; charset=utf-8`,
+    `Content-Transfer-Encoding: base64`,
+    ``,
+    b64(text),
+    `--${boundary}`,
+    `Content-Type: text/html; charset=utf-8`,
+    `Content-Transfer-Encoding: base64`,
+    ``,
+    b64(html),
+    `--${boundary}--`,
+    ``
+  ].join("\r\n");
+}
+
+/** Minimal SMTP dialogue: EHLO, optional AUTH PLAIN, MAIL/RCPT/DATA, QUIT */
+function smtpSend({ host, port = 25, user, pass, timeoutMs = 15000 }, { from, to, data }) {
+  return new Promise((resolve, reject) => {
+    const sock = net.createConnection({ host, port: Number(port) });
+    sock.setTimeout(timeoutMs, () => sock.destroy(new Error("SMTP timeout")));
+    let buf = "";
+    const waiters = [];
+    const fail = (e) => { sock.destroy(); reject(e); };
+    sock.on("error", fail);
+    sock.on("data", (chunk) => {
+      buf += chunk.toString("utf8");
+      // a complete reply ends with a line "NNN text" (no dash after the code)
+      const m = buf.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+      if (m && waiters.length) {
+        const reply = buf; buf = "";
+        waiters.shift()({ code: Number(m[1]), text: reply.trim() });
+      }
+    });
+    const reply = () => new Promise(r => waiters.push(r));
+    const cmd = async (line, expect) => {
+      if (line != null) sock.write(line + "\r\n");
+      const r = await reply();
+      if (!expect.includes(r.code)) throw new Error(`SMTP ${line ? line.split(" ")[0] : "greeting"}: ${r.text}`);
+      return r;
+    };
+    (async () => {
+      await cmd(null, [220]);
+      await cmd(`EHLO ${os.hostname() || "localhost"}`, [250]);
+      if (user) await cmd(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`).toString("base64")}`, [235]);
+      await cmd(`MAIL FROM:<${from}>`, [250]);
+      for (const rcpt of to) await cmd(`RCPT TO:<${rcpt}>`, [250, 251]);
+      await cmd("DATA", [354]);
+      // dot-stuff lines that start with "." and terminate with <CRLF>.<CRLF>
+      const r = await cmd(data.replace(/\r\n\./g, "\r\n..") + "\r\n.", [250]);
+      sock.end("QUIT\r\n");
+      resolve({ status: r.code });
+    })().catch(fail);
+  });
+}
+
+export default {
+  type: "email",
+  schema: {
+    host: { type: "string", required: true },
+    port: { type: ["number", "string"] },
+    user: { type: "string" },
+    pass: { type: "string" },
+    from: { type: "string", required: true },
+    to: { type: "array", items: "string", required: true }
+  },
+  format(ev) {
+    return {
+      subject: `${titleFor(ev)}: ${summaryLine(ev)}`.slice(0, 200),
+      text: plainText(ev),
+      html: htmlBody(ev)
+    };
+  },
+  send(channel, msg, { idempotencyKey } = {}) {
+    const to = channel.to.filter(Boolean);
+    const data = buildMime({ from: channel.from, to, ...msg, messageId: idempotencyKey });
+    return smtpSend(channel, { from: channel.from, to, data });
+  }
+};
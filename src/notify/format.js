@@ -0,0 +1,59 @@
+// src/notify/format.js
+import crypto from "crypto";
+import { runUrl } from "../lib/util.js";
+import { diffDetails, trimDiff, fmtChange } from "../lib/diff.js";
+
+export { fmtChange, fmtValue } from "../lib/diff.js";
+
+/* ================================
+   shared message pieces for every channel
+=================================== */
+
+/**
+ * One event, independent of the channel it is rendered for: "scrape.changed", or a health
+ * notice ("check.broken" / "check.recovered" / "check.stale", reason in `alerts`)
+ */
+export function buildEvent({ check, event = "scrape.changed", changedKeys = [], diff, alerts = [], record, previous }) {
+  const details = trimDiff(diff || diffDetails(previous?.data, record?.data)
+    .filter(d => changedKeys.includes(d.key)));
+  // stable per event: the same check run always yields the same id
+  const seed = `${check.name}|${record?.checkedAt}${event === "scrape.changed" ? "" : `|${event}`}`;
+  return {
+    id: crypto.createHash("sha256").update(seed).digest("hex").slice(0, 32),
+    event,
+    check: check.name,
+    group: check.group || null,
+    type: check.type,
+    url: check.url || null,
+    checkedAt: record?.checkedAt,
+    changedKeys,
+    diff: details,
+    alerts,
+    runUrl: runUrl(),
+    current: record,
+    previous
+  };
+}
+
+const HEALTH_TITLES = { "check.broken": "🚨 {} broken", "check.recovered": "💚 {} recovered", "check.stale": "⏳ {} stale" };
+
+export function titleFor(ev) {
+  if (HEALTH_TITLES[ev.event]) return HEALTH_TITLES[ev.event].replace("{}", ev.check);
+  return ev.alerts.length ? `🔔 ${ev.check}` : `✅ ${ev.check} changed`;
+}
+
+/** Alert reasons (or the changed keys) as one line */
+export function summaryLine(ev) {
+  return ev.alerts.length
+    ? ev.alerts.map(a => a.message).join(" · ")
+    : `changed (${ev.changedKeys.join(", ")})`;
+}
+
+/** Plain-text body shared by email/ntfy/webhook `text` */
+export function plainText(ev) {
+  const lines = [`${titleFor(ev)}: ${summaryLine(ev)}`];
+  for (const d of ev.diff) lines.push(`• ${d.path}: ${fmtChange(d)}`);
+  if (ev.url) lines.push(ev.url);
+  if (ev.runUrl) lines.push(ev.runUrl);
+  return lines.join("\n");
+}
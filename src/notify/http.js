@@ -0,0 +1,32 @@
+// src/notify/http.js
+import crypto from "crypto";
+
+/* ================================
+   HTTP delivery shared by the webhook-style channels
+=================================== */
+
+/** An error the outbox may retry (network, 408, 429, 5xx) or not (other 4xx) */
+export function httpError(status) {
+  const e = new Error(`HTTP ${status}`);
+  e.retriable = status === 408 || status === 429 || status >= 500;
+  return e;
+}
+
+/**
+ * POST JSON. With `secret`, adds X-Signature-Timestamp and
+ * X-Signature-256: sha256=HMAC(secret, "<timestamp>.<body>") so receivers can
+ * verify origin and reject replays; `idempotencyKey` is sent as Idempotency-Key.
+ */
+export async function postJson(url, body, { headers = {}, secret, idempotencyKey } = {}) {
+  const payload = JSON.stringify(body);
+  const h = { "content-type": "application/json", ...headers };
+  if (idempotencyKey) h["Idempotency-Key"] = idempotencyKey;
+  if (secret) {
+    const ts = String(Math.floor(Date.now() / 1000));
+    h["X-Signature-Timestamp"] = ts;
+    h["X-Signature-256"] = "sha256=" + crypto.createHmac("sha256", secret).update(`${ts}.${payload}`).digest("hex");
+  }
+  const res = await fetch(url, { method: "POST", headers: h, body: payload });
+  if (!res.ok) throw httpError(res.status);
+  return { status: res.status };
+}
@@ -0,0 +1,116 @@
+// src/notify/index.js
+import channelConfig from "../channels.js";
+import { expandEnv, missingEnv, withRetry } from "../lib/util.js";
+import { validateFields } from "../lib/validate.js";
+import { buildEvent } from "./format.js";
+import { ensureOutbox, listPending, isDelivered, markDelivered, markFailed } from "./outbox.js";
+
+import webhook from "./webhook.js";
+import slack from "./slack.js";
+import discord from "./discord.js";
+import teams from "./teams.js";
+import email from "./email.js";
+import ntfy from "./ntfy.js";
+
+/* ================================
+   notification channels
+   A channel type is { type, schema, format(event) => message, send(channel, message, { idempotencyKey }) }.
+   Formatted messages are what the outbox stores, so a retry sends the same bytes.
+=================================== */
+const channelTypes = new Map([webhook, slack, discord, teams, email, ntfy].map(t => [t.type, t]));
+
+/** Channel names a check notifies: check.notify, else routes[group], else routes["*"] */
+export function channelsFor(check, config = channelConfig) {
+  if (Array.isArray(check.notify)) return check.notify;
+  const routes = config.routes || {};
+  return routes[check.group] || routes["*"] || [];
+}
+
+const RETRY = { tries: 3, baseMs: 1000, factor: 2, shouldRetry: (e) => e.retriable !== false };
+
+/**
+ * Send one stored delivery ({ id, eventId, channel, message, attempts, ... }).
+ * Already-delivered ids are skipped; failures after retries go to the outbox.
+ * Never throws, so a dead receiver can't fail the check.
+ */
+async function deliver(d, config, outboxDir) {
+  const raw = config.channels?.[d.channel];
+  const kind = channelTypes.get(raw?.type);
+  if (!kind) return { channel: d.channel, sent: false, error: "unknown channel" };
+  const missing = missingEnv(raw);
+  if (missing.length) return { channel: d.channel, sent: false, reason: `not configured (${missing.join(", ")})` };
+  if (outboxDir && await isDelivered(outboxDir, d.id)) return { channel: d.channel, sent: false, reason: "duplicate" };
+
+  d.attempts = (d.attempts || 0) + 1;
+  d.lastAttemptAt = new Date().toISOString();
+  try {
+    const res = await withRetry(`notify ${d.channel}`, () =>
+      kind.send(expandEnv(raw), d.message, { idempotencyKey: d.eventId }), RETRY);
+    if (outboxDir) await markDelivered(outboxDir, d, res);
+    return { channel: d.channel, sent: true, ...res };
+  } catch (e) {
+    d.lastError = String(e);
+    const state = outboxDir ? await markFailed(outboxDir, d) : null;
+    return { channel: d.channel, sent: false, error: d.lastError, outbox: state };
+  }
+}
+
+/**
+ * Render and send one change (or health) event to every channel routed for the check.
+ * Channels with unset `${ENV}` placeholders are skipped.
+ */
+export async function notify({ check, event, changedKeys, diff, alerts, record, previous }, { config = channelConfig, outboxDir } = {}) {
+  const ev = buildEvent({ check, event, changedKeys, diff, alerts, record, previous });
+  const results = [];
+  for (const name of channelsFor(check, config)) {
+    const kind = channelTypes.get(config.channels?.[name]?.type);
+    const delivery = {
+      id: `${ev.id}-${name}`,
+      eventId: ev.id,
+      channel: name,
+      check: ev.check,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      message: kind ? kind.format(ev) : null
+    };
+    results.push(await deliver(delivery, config, outboxDir));
+  }
+  return results;
+}
+
+/** Retry everything left in the outbox by earlier runs */
+export async function flushOutbox(outboxDir, { config = channelConfig } = {}) {
+  await ensureOutbox(outboxDir);
+  const results = [];
+  for (const d of await listPending(outboxDir)) {
+    results.push({ id: d.id, check: d.check, ...(await deliver(d, config, outboxDir)) });
+  }
+  return results;
+}
+
+/** Config problems in channels.js, plus check.notify names that don't exist */
+export function validateChannels(checks = [], config = channelConfig) {
+  const problems = [];
+  const channels = config?.channels || {};
+  for (const [name, ch] of Object.entries(channels)) {
+    const kind = channelTypes.get(ch?.type);
+    if (!kind) {
+      problems.push({ check: "channels.js", path: `channels.${name}.type`, message: `unknown channel type "${ch?.type}" (expected ${[...channelTypes.keys()].join(", ")})` });
+      continue;
+    }
+    for (const p of validateFields(ch, { type: { type: "string" }, ...kind.schema })) {
+      problems.push({ check: "channels.js", path: `channels.${name}.${p.path}`, message: p.message });
+    }
+  }
+  for (const [route, names] of Object.entries(config?.routes || {})) {
+    for (const n of Array.isArray(names) ? names : [names]) {
+      if (!channels[n]) problems.push({ check: "channels.js", path: `routes.${route}`, message: `unknown channel "${n}"` });
+    }
+  }
+  for (const c of Array.isArray(checks) ? checks : []) {
+    for (const n of Array.isArray(c?.notify) ? c.notify : []) {
+      if (!channels[n]) problems.push({ check: c.name, path: "notify", message: `unknown channel "${n}"` });
+    }
+  }
+  return problems;
+}
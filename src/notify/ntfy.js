@@ -0,0 +1,34 @@
+// src/notify/ntfy.js
+import { plainText, titleFor } from "./format.js";
+import { httpError } from "./http.js";
+
+/* ================================
+   ntfy-style push (POST text to <server>/<topic>)
+=================================== */
+export default {
+  type: "ntfy",
+  schema: {
+    server: { type: "string", required: true },
+    topic: { type: "string", required: true },
+    token: { type: "string" },
+    priority: { type: ["number", "string"] }
+  },
+  format(ev) {
+    return {
+      title: titleFor(ev).replace(/^\W+\s*/, ""),
+      text: plainText(ev),
+      tags: ev.alerts.length ? "bell" : "white_check_mark",
+      click: ev.url || ev.runUrl || ""
+    };
+  },
+  async send(channel, msg) {
+    const url = `${channel.server.replace(/\/+$/, "")}/${encodeURIComponent(channel.topic)}`;
+    const headers = { "Title": msg.title, "Tags": msg.tags };
+    if (msg.click) headers["Click"] = msg.click;
+    if (channel.priority) headers["Priority"] = String(channel.priority);
+    if (channel.token) headers["Authorization"] = `Bearer ${channel.token}`;
+    const res = await fetch(url, { method: "POST", headers, body: msg.text });
+    if (!res.ok) throw httpError(res.status);
+    return { status: res.status };
+  }
+};
@@ -0,0 +1,77 @@
+// src/notify/outbox.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { ensureDir, exists, readJson, writeJson } from "../lib/fsutil.js";
+
+/* ================================
+   outbox: undelivered notifications persisted between runs
+   <dir>/pending/<id>.json    delivery still to be (re)sent
+   <dir>/delivered/<id>.json  marker so an event is never sent twice
+   <dir>/dead/<id>.json       gave up after OUTBOX_MAX_ATTEMPTS / OUTBOX_MAX_AGE_DAYS
+   One file per delivery so group results merge without clobbering each other.
+=================================== */
+export const OUTBOX_MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS || 10);
+export const OUTBOX_MAX_AGE_DAYS = Number(process.env.OUTBOX_MAX_AGE_DAYS || 7);
+const DELIVERED_KEEP_DAYS = 30;
+const DAY_MS = 24 * 3600 * 1000;
+
+const fileFor = (dir, kind, id) => path.join(dir, kind, `${id.replace(/[^A-Za-z0-9_.-]/g, "_")}.json`);
+
+async function listJson(dir) {
+  if (!(await exists(dir))) return [];
+  return (await fsp.readdir(dir)).filter(f => f.endsWith(".json")).sort().map(f => path.join(dir, f));
+}
+
+export async function isDelivered(dir, id) { return exists(fileFor(dir, "delivered", id)); }
+
+export async function markDelivered(dir, delivery, result) {
+  await writeJson(fileFor(dir, "delivered", delivery.id), {
+    id: delivery.id,
+    channel: delivery.channel,
+    check: delivery.check,
+    deliveredAt: new Date().toISOString(),
+    attempts: delivery.attempts,
+    status: result?.status ?? null
+  });
+  await fsp.rm(fileFor(dir, "pending", delivery.id), { force: true });
+}
+
+/** Keep a failed delivery for the next run, or dead-letter it once it's too old / tried too often */
+export async function markFailed(dir, delivery) {
+  const age = Date.now() - Date.parse(delivery.createdAt);
+  const dead = delivery.attempts >= OUTBOX_MAX_ATTEMPTS || age > OUTBOX_MAX_AGE_DAYS * DAY_MS;
+  await writeJson(fileFor(dir, dead ? "dead" : "pending", delivery.id), delivery);
+  if (dead) await fsp.rm(fileFor(dir, "pending", delivery.id), { force: true });
+  return dead ? "dead" : "pending";
+}
+
+export async function listPending(dir) {
+  const out = [];
+  for (const f of await listJson(path.join(dir, "pending"))) {
+    const d = await readJson(f);
+    if (d?.id) out.push(d);
+  }
+  return out;
+}
+
+/** Counts for the report; also drops delivered markers older than DELIVERED_KEEP_DAYS */
+export async function outboxStats(dir) {
+  const cutoff = Date.now() - DELIVERED_KEEP_DAYS * DAY_MS;
+  let delivered = 0;
+  for (const f of await listJson(path.join(dir, "delivered"))) {
+    const d = await readJson(f);
+    if (!d || Date.parse(d.deliveredAt) < cutoff) await fsp.rm(f, { force: true });
+    else delivered++;
+  }
+  const pending = await listPending(dir);
+  return {
+    pending: pending.length,
+    dead: (await listJson(path.join(dir, "dead"))).length,
+    delivered,
+    pendingItems: pending.map(d => ({ id: d.id, check: d.check, channel: d.channel, attempts: d.attempts, lastError: d.lastError }))
+  };
+}
+
+export async function ensureOutbox(dir) {
+  await Promise.all(["pending", "delivered", "dead"].map(k => ensureDir(path.join(dir, k))));
+}
@@ -0,0 +1,33 @@
+// src/notify/slack.js
+import { fmtChange, titleFor, summaryLine } from "./format.js";
+import { postJson } from "./http.js";
+
+/* ================================
+   Slack incoming webhook (Block Kit)
+=================================== */
+
+export default {
+  type: "slack",
+  schema: {
+    url: { type: "string", required: true }
+  },
+  format(ev) {
+    const blocks = [
+      { type: "header", text: { type: "plain_text", text: titleFor(ev), emoji: true } },
+      { type: "section", text: { type: "mrkdwn", text: summaryLine(ev) } }
+    ];
+    if (ev.diff.length) {
+      blocks.push({
+        type: "section",
+        // Slack caps a section at 10 fields
+        fields: ev.diff.slice(0, 10).map(d => ({ type: "mrkdwn", text: `*${d.path}*\n${fmtChange(d, 140).replace(/`/g, "'")}` }))
+      });
+    }
+    const links = [ev.url && `<${ev.url}|source>`, ev.runUrl && `<${ev.runUrl}|run>`].filter(Boolean);
+    if (links.length) blocks.push({ type: "context", elements: [{ type: "mrkdwn", text: links.join(" · ") }] });
+    return { text: `${titleFor(ev)}: ${summaryLine(ev)}`, blocks };
+  },
+  send(channel, body, { idempotencyKey } = {}) {
+    return postJson(channel.url, body, { idempotencyKey });
+  }
+};
@@ -0,0 +1,45 @@
+// src/notify/teams.js
+import { fmtChange, titleFor, summaryLine } from "./format.js";
+import { postJson } from "./http.js";
+
+/* ================================
+   Microsoft Teams (Adaptive Card via incoming webhook / workflow)
+=================================== */
+export default {
+  type: "teams",
+  schema: {
+    url: { type: "string", required: true }
+  },
+  format(ev) {
+    const body = [
+      { type: "TextBlock", size: "Medium", weight: "Bolder", text: titleFor(ev), wrap: true },
+      { type: "TextBlock", text: summaryLine(ev), wrap: true }
+    ];
+    if (ev.diff.length) {
+      body.push({
+        type: "FactSet",
+        facts: ev.diff.map(d => ({ title: d.path, value: fmtChange(d) }))
+      });
+    }
+    const actions = [
+      ev.url && { type: "Action.OpenUrl", title: "Source", url: ev.url },
+      ev.runUrl && { type: "Action.OpenUrl", title: "Run", url: ev.runUrl }
+    ].filter(Boolean);
+    return {
+      type: "message",
+      attachments: [{
+        contentType: "application/vnd.microsoft.card.adaptive",
+        content: {
+          $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+          type: "AdaptiveCard",
+          version: "1.4",
+          body,
+          actions
+        }
+      }]
+    };
+  },
+  send(channel, body, { idempotencyKey } = {}) {
+    return postJson(channel.url, body, { idempotencyKey });
+  }
+};
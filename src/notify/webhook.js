@@ -0,0 +1,21 @@
+// src/notify/webhook.js
+import { plainText } from "./format.js";
+import { postJson } from "./http.js";
+
+/* ================================
+   generic JSON webhook
+=================================== */
+export default {
+  type: "webhook",
+  schema: {
+    url: { type: "string", required: true },
+    headers: { type: "object", values: "string" },
+    secret: { type: "string" }
+  },
+  format(ev) {
+    return { text: plainText(ev), ...ev };
+  },
+  send(channel, body, { idempotencyKey } = {}) {
+    return postJson(channel.url, body, { headers: channel.headers, secret: channel.secret || undefined, idempotencyKey });
+  }
+};
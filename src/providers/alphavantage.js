@@ -0,0 +1,58 @@
+// src/providers/alphavantage.js
+import { ALPHAVANTAGE_KEY, REALISTIC_UA } from "../lib/config.js";
+import { withRetry } from "../lib/util.js";
+import { httpFetch } from "../lib/http.js";
+import { RateLimitError } from "../lib/errors.js";
+import { endOfUtcDay } from "./budget.js";
+
+/* ================================
+   Alpha Vantage GLOBAL_QUOTE (one symbol per call)
+   Free keys get 25 calls a day and 5 a minute. When they run out the API still
+   answers 200, with a "Note" / "Information" message instead of a quote.
+=================================== */
+const num = (v) => {
+  const n = Number(String(v ?? "").replace("%", ""));
+  return v != null && v !== "" && Number.isFinite(n) ? n : null;
+};
+
+/** A throttle notice, or null when the body is a normal answer */
+export function throttleNotice(res, now = new Date()) {
+  const msg = res?.Note || res?.Information;
+  if (!msg || res?.["Global Quote"]) return null;
+  if (!/rate limit|requests per day|calls per minute|call frequency|premium/i.test(msg)) return null;
+  const daily = /per day|daily/i.test(msg);
+  return { message: msg, until: daily ? endOfUtcDay(now) : new Date(now.getTime() + 60_000) };
+}
+
+const missingConfig = () => (ALPHAVANTAGE_KEY ? null : "ALPHAVANTAGE_KEY not set");
+
+async function quote([symbol]) {
+  const url = `https://www.alphavantage.co/query?function=GLOBAL_QUOTE&symbol=${encodeURIComponent(symbol)}&apikey=${ALPHAVANTAGE_KEY}`;
+  const res = await withRetry("alphaVantage.globalQuote", async () => {
+    const r = await httpFetch(url, { headers: { "User-Agent": REALISTIC_UA } });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r.json();
+  }, { tries: 3, baseMs: 800 });
+
+  const limited = throttleNotice(res);
+  if (limited) throw new RateLimitError("alphavantage", limited.message.split(/(?<=\.)\s/)[0], { until: limited.until });
+  if (res?.Information || res?.["Error Message"]) throw new Error(`alphavantage: ${res.Information || res["Error Message"]}`);
+
+  const q = res?.["Global Quote"] || {};
+  return {
+    [symbol]: {
+      price: num(q["05. price"]),
+      change: num(q["09. change"]),
+      changePercent: num(q["10. change percent"]),
+      raw: q
+    }
+  };
+}
+
+export default {
+  name: "alphavantage",
+  batchSize: 1,
+  limits: { perDay: 25, perMinute: 5 },
+  missingConfig,
+  quote
+};
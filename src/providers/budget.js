@@ -0,0 +1,60 @@
+// src/providers/budget.js
+import path from "path";
+import { root } from "../lib/config.js";
+import { readJson, writeJson } from "../lib/fsutil.js";
+
+/* ================================
+   per-provider call budgets
+   data/quota/<provider>.json = { day, dayCalls, minute, minuteCalls, blockedUntil }
+   Counters reset when the UTC day / minute rolls over. A throttle answer from the
+   provider blocks it until `blockedUntil`, whatever the counters say.
+=================================== */
+export const quotaDir = () => path.resolve(root, process.env.QUOTA_DIR || path.join("data", "quota"));
+
+const cache = new Map(); // file -> state, shared by every check in this process
+
+async function load(file) {
+  if (!cache.has(file)) cache.set(file, readJson(file).then(s => s || {}));
+  return cache.get(file);
+}
+
+function roll(state, now) {
+  const iso = now.toISOString();
+  if (state.day !== iso.slice(0, 10)) Object.assign(state, { day: iso.slice(0, 10), dayCalls: 0 });
+  if (state.minute !== iso.slice(0, 16)) Object.assign(state, { minute: iso.slice(0, 16), minuteCalls: 0 });
+  return state;
+}
+
+/**
+ * Reserve one call. Resolves to null when allowed (and counts it), or to the
+ * reason it isn't ("daily budget of 25 calls used").
+ * `persist: false` counts in memory only (dry runs).
+ */
+export async function takeCall(provider, { perDay, perMinute } = {}, { now = new Date(), persist = true } = {}) {
+  const file = path.join(quotaDir(), `${provider}.json`);
+  const state = roll(await load(file), now);
+  if (state.blockedUntil && Date.parse(state.blockedUntil) > now.getTime()) return `throttled until ${state.blockedUntil}`;
+  if (perDay && state.dayCalls >= perDay) return `daily budget of ${perDay} calls used`;
+  if (perMinute && state.minuteCalls >= perMinute) return `per-minute budget of ${perMinute} calls used`;
+  state.dayCalls++;
+  state.minuteCalls++;
+  if (persist) await writeJson(file, state);
+  return null;
+}
+
+/** The provider said stop: refuse calls until `until` (a Date) */
+export async function blockProvider(provider, until, { persist = true } = {}) {
+  const file = path.join(quotaDir(), `${provider}.json`);
+  const state = await load(file);
+  state.blockedUntil = until.toISOString();
+  if (persist) await writeJson(file, state);
+}
+
+/** Midnight UTC after `now`, when daily budgets reset */
+export const endOfUtcDay = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+/** Forget cached state (tests) */
+export function resetBudgets() {
+  cache.clear();
+}
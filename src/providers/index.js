@@ -0,0 +1,58 @@
+// src/providers/index.js
+import { RateLimitError } from "../lib/errors.js";
+import { takeCall, blockProvider } from "./budget.js";
+
+import alphavantage from "./alphavantage.js";
+import stooq from "./stooq.js";
+import stub from "./stub.js";
+
+/* ================================
+   stock quote providers
+   A provider is { name, batchSize, limits: { perDay, perMinute }, quote(symbols) => { SYM: { price, change, changePercent, raw } } }
+   and optionally missingConfig() => why it can't be called (e.g. no API key), or null.
+   quote() throws RateLimitError when the API answers with a throttle notice.
+   Limits can be overridden per provider: ALPHAVANTAGE_PER_DAY=500, STOOQ_PER_MINUTE=10 (0 = unlimited).
+=================================== */
+const providers = new Map([alphavantage, stooq, stub].map(p => [p.name, p]));
+
+export const DEFAULT_PROVIDER = "alphavantage";
+export const providerNames = () => [...providers.keys()];
+export function getProvider(name = DEFAULT_PROVIDER) {
+  return providers.get(name) || null;
+}
+
+/** Provider limits with env overrides applied */
+export function limitsFor(provider, env = process.env) {
+  const prefix = provider.name.toUpperCase();
+  const pick = (key, envKey) => env[envKey] != null && env[envKey] !== "" ? Number(env[envKey]) : provider.limits?.[key];
+  return { perDay: pick("perDay", `${prefix}_PER_DAY`), perMinute: pick("perMinute", `${prefix}_PER_MINUTE`) };
+}
+
+/**
+ * Quote symbols in provider-sized batches, each call charged to the provider's budget.
+ * Once a budget runs out (or the API throttles) the remaining batches are not sent.
+ * Resolves to { quotes, skipped: [symbols not quoted], reason } (reason: why they weren't).
+ */
+export async function fetchQuotes(provider, symbols, { persist = true, now } = {}) {
+  // an unconfigured provider fails before anything is charged to its budget
+  const missing = provider.missingConfig?.();
+  if (missing) throw new Error(missing);
+  const quotes = {};
+  const skipped = [];
+  let reason = null;
+  const size = Math.max(1, provider.batchSize || 1);
+  for (let i = 0; i < symbols.length; i += size) {
+    const batch = symbols.slice(i, i + size);
+    if (!reason) reason = await takeCall(provider.name, limitsFor(provider), { persist, now });
+    if (reason) { skipped.push(...batch); continue; }
+    try {
+      Object.assign(quotes, await provider.quote(batch));
+    } catch (e) {
+      if (!(e instanceof RateLimitError)) throw e;
+      if (e.until) await blockProvider(provider.name, e.until, { persist });
+      reason = e.detail;
+      skipped.push(...batch);
+    }
+  }
+  return { quotes, skipped, reason };
+}
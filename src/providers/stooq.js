@@ -0,0 +1,59 @@
+// src/providers/stooq.js
+import { REALISTIC_UA } from "../lib/config.js";
+import { withRetry } from "../lib/util.js";
+import { httpFetch } from "../lib/http.js";
+import { RateLimitError } from "../lib/errors.js";
+import { endOfUtcDay } from "./budget.js";
+
+/* ================================
+   Stooq CSV quotes (no key, many symbols per call)
+   https://stooq.com/q/l/?s=ntdoy.us,sony.us&f=sd2t2ohlcv&h&e=csv
+   Bare tickers are US listings ("NTDOY" -> "ntdoy.us"); give the suffix for other
+   markets ("7974.jp"). The CSV has no previous close, so change fields are null.
+=================================== */
+export const stooqSymbol = (s) => (s.includes(".") || s.startsWith("^") ? s : `${s}.us`).toLowerCase();
+
+const num = (v) => {
+  const n = Number(v);
+  return v != null && v !== "" && v !== "N/D" && Number.isFinite(n) ? n : null;
+};
+
+/** Rows keyed by stooq symbol (upper case) */
+export function parseStooqCsv(txt) {
+  const [head, ...lines] = String(txt).trim().split(/\r?\n/);
+  const cols = head.split(",").map(c => c.trim().toLowerCase());
+  const rows = {};
+  for (const line of lines) {
+    const cells = line.split(",");
+    const row = Object.fromEntries(cols.map((c, i) => [c, cells[i]?.trim()]));
+    if (row.symbol) rows[row.symbol.toUpperCase()] = row;
+  }
+  return rows;
+}
+
+async function quote(symbols) {
+  const url = `https://stooq.com/q/l/?s=${symbols.map(s => encodeURIComponent(stooqSymbol(s))).join(",")}&f=sd2t2ohlcv&h&e=csv`;
+  const txt = await withRetry("stooq.quote", async () => {
+    const r = await httpFetch(url, { headers: { "User-Agent": REALISTIC_UA } });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    return r.text();
+  }, { tries: 3, baseMs: 800 });
+
+  if (/exceeded the daily hits limit/i.test(txt)) {
+    throw new RateLimitError("stooq", "daily hits limit exceeded", { until: endOfUtcDay() });
+  }
+  const rows = parseStooqCsv(txt);
+  const out = {};
+  for (const s of symbols) {
+    const row = rows[stooqSymbol(s).toUpperCase()] || {};
+    out[s] = { price: num(row.close), change: null, changePercent: null, raw: row };
+  }
+  return out;
+}
+
+export default {
+  name: "stooq",
+  batchSize: 20,
+  limits: { perMinute: 30 },
+  quote
+};
@@ -0,0 +1,41 @@
+// src/providers/stub.js
+import { RateLimitError } from "../lib/errors.js";
+
+/* ================================
+   stub provider: no network, for tests and local dry runs
+   Prices come from setStubQuotes() or STUB_QUOTES='{"NTDOY":12.5}'; any other
+   symbol gets a stable made-up price. setStubQuotes(..., { throttle: true })
+   makes every call answer like a throttled API.
+=================================== */
+let quotes = null;
+let throttle = false;
+
+export function setStubQuotes(next, opts = {}) {
+  quotes = next;
+  throttle = !!opts.throttle;
+}
+
+function madeUpPrice(symbol) {
+  let h = 0;
+  for (const c of symbol) h = (h * 31 + c.charCodeAt(0)) >>> 0;
+  return 10 + (h % 9000) / 100;
+}
+
+async function quote(symbols) {
+  if (throttle) throw new RateLimitError("stub", "throttled", { until: new Date(Date.now() + 60_000) });
+  const table = quotes ?? JSON.parse(process.env.STUB_QUOTES || "{}");
+  const out = {};
+  for (const s of symbols) {
+    const q = table[s];
+    const price = typeof q === "number" ? q : (q?.price ?? madeUpPrice(s));
+    out[s] = { price, change: q?.change ?? null, changePercent: q?.changePercent ?? null, raw: { symbol: s, stub: true } };
+  }
+  return out;
+}
+
+export default {
+  name: "stub",
+  batchSize: 50,
+  limits: {},
+  quote
+};
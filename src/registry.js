@@ -0,0 +1,99 @@
+// src/registry.js
+import { promises as fsp } from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import { root, PLUGINS_DIR } from "./lib/config.js";
+import { exists } from "./lib/fsutil.js";
+import { validateChecks } from "./lib/validate.js";
+
+import page from "./types/page.js";
+import price from "./types/price.js";
+import availability from "./types/availability.js";
+import sitemap from "./types/sitemap.js";
+import sitemapDiff from "./types/sitemap_diff.js";
+import contentWatch from "./types/content_watch.js";
+import tableRow from "./types/table_row.js";
+import structuredData from "./types/structured_data.js";
+import jsonApi from "./types/json_api.js";
+import psaPriceRow from "./types/psa_price_row.js";
+import psaPopRow from "./types/psa_pop_row.js";
+import stockQuote from "./types/stock_quote.js";
+import visual from "./types/visual.js";
+
+/* ================================
+   check-type registry
+   A check type is a plain object:
+     {
+       type:       "price",                       // value of check.type
+       schema:     { selector: { type: "string", required: true } },  // see lib/validate.js
+       ignoreKeys: ["raw"],                       // default keys excluded from diffs
+       run:        async (check, { prev }) => data,
+       series:     (data, check) => number|null   // optional time-series value
+       seriesKey:  (data, check) => "price"       // optional, the data key series() reads (alert rules on it
+                                                  //   are held back with a suppressed anomaly)
+       itemSeries: (data, check) => { id: number } // optional, one series per item
+       metrics:    (data, check) => { change: number }          // optional, stored with each point
+       itemMetrics: (data, check) => { id: { change: number } } // optional, the same per item
+       validate:   (check) => [{ path, message }]  // optional cross-field rules
+       describeChange: (prevData, data, check) => [diff entries]  // optional, added to a change's diff
+       arrayKeys:  (check) => ({ items: "sku" })  // optional, record arrays diffed by key (lib/diff.js)
+       anomaly:    false                          // optional, series is a flag or a diff ratio: detection is opt-in (lib/anomaly.js)
+     }
+=================================== */
+const registry = new Map();
+
+export function registerCheckType(def, source = "builtin") {
+  if (!def || typeof def.type !== "string" || !def.type) {
+    throw new Error(`check type from ${source} has no "type" name`);
+  }
+  if (typeof def.run !== "function") {
+    throw new Error(`check type "${def.type}" from ${source} has no run() function`);
+  }
+  if (registry.has(def.type)) {
+    throw new Error(`check type "${def.type}" from ${source} is already registered by ${registry.get(def.type).source}`);
+  }
+  registry.set(def.type, {
+    schema: {},
+    ignoreKeys: [],
+    series: null,
+    ...def,
+    source
+  });
+}
+
+export function getCheckType(type) { return registry.get(type) || null; }
+export function listCheckTypes() { return [...registry.values()]; }
+
+for (const def of [page, price, availability, sitemap, sitemapDiff, contentWatch, tableRow, structuredData, jsonApi, psaPriceRow, psaPopRow, stockQuote, visual]) {
+  registerCheckType(def);
+}
+
+/** Import every *.js / *.mjs module in the plugins dir; default export is one type or an array of them */
+export async function loadPlugins(dir = path.resolve(root, PLUGINS_DIR)) {
+  if (!(await exists(dir))) return [];
+  const files = (await fsp.readdir(dir)).filter(f => /\.m?js$/.test(f)).sort();
+  const loaded = [];
+  for (const f of files) {
+    const file = path.join(dir, f);
+    const mod = await import(pathToFileURL(file).href);
+    const defs = Array.isArray(mod.default) ? mod.default : [mod.default];
+    for (const def of defs) {
+      registerCheckType(def, path.relative(root, file));
+      loaded.push(def.type);
+    }
+  }
+  return loaded;
+}
+
+let pluginsLoaded = null;
+/** Load plugins once per process */
+export function ensurePlugins() {
+  if (!pluginsLoaded) pluginsLoaded = loadPlugins();
+  return pluginsLoaded;
+}
+
+/** Validate checks against the registered types (plugins included) */
+export async function validateConfig(checks) {
+  await ensurePlugins();
+  return validateChecks(checks, getCheckType, listCheckTypes().map(t => t.type));
+}
@@ -0,0 +1,350 @@
+// src/runner.js
+import { promises as fsp } from "fs";
+import path from "path";
+import checks from "./checks.js";
+import { root, GROUP, CONCURRENCY, HOST_CONCURRENCY } from "./lib/config.js";
+import { ensureDir, readJson, writeJson, seedFromDocsData } from "./lib/fsutil.js";
+import { diffDetails, changedKeysOf, trimDiff } from "./lib/diff.js";
+import { notify, flushOutbox, validateChannels } from "./notify/index.js";
+import { outboxStats } from "./notify/outbox.js";
+import { ConfigError, SkipError, EmptyResultError } from "./lib/errors.js";
+import { evaluateAlerts, alertsNeedSeries, ruleReadsKey } from "./lib/alerts.js";
+import { anomalyOptions, detectAnomaly, anomalyMessage } from "./lib/anomaly.js";
+import { writeGroupReports, writeCombinedReport } from "./lib/report.js";
+import { runIdOf, buildManifest, writeRunManifest, gitSha } from "./lib/runs.js";
+import { closeBrowser } from "./lib/browser.js";
+import { createLimiter, createKeyedLimiter } from "./lib/limit.js";
+import { isDue } from "./lib/schedule.js";
+import { checkState } from "./lib/state.js";
+import { appendPoint, retentionFor } from "./lib/timeseries.js";
+import { healthOf, nextHealth, staleness, BROKEN_AFTER } from "./lib/health.js";
+import { getCheckType, validateConfig } from "./registry.js";
+
+/* ================================
+   time-series helper
+=================================== */
+function seriesValueFor(check, data) {
+  const def = getCheckType(check.type);
+  if (!def?.series) return null;
+  const v = def.series(data, check);
+  return (typeof v === "number" && Number.isFinite(v)) ? v : null;
+}
+/** The data key the series value comes from, when the type says */
+function seriesKeyFor(check, data) {
+  return getCheckType(check.type)?.seriesKey?.(data, check) ?? null;
+}
+function itemSeriesFor(check, data) {
+  const def = getCheckType(check.type);
+  if (!def?.itemSeries) return {};
+  return Object.fromEntries(Object.entries(def.itemSeries(data, check) || {})
+    .filter(([, v]) => typeof v === "number" && Number.isFinite(v)));
+}
+/** Extra numbers stored with a point ({ change, changePercent }); null when there are none */
+function finiteMetrics(m) {
+  const out = Object.fromEntries(Object.entries(m || {}).filter(([, v]) => typeof v === "number" && Number.isFinite(v)));
+  return Object.keys(out).length ? out : null;
+}
+function metricsFor(check, data) {
+  const def = getCheckType(check.type);
+  return def?.metrics ? finiteMetrics(def.metrics(data, check)) : null;
+}
+function itemMetricsFor(check, data) {
+  const def = getCheckType(check.type);
+  return def?.itemMetrics ? def.itemMetrics(data, check) || {} : {};
+}
+async function readSeriesValues(tsPath) {
+  try {
+    const txt = await fsp.readFile(tsPath, "utf8");
+    return txt.split("\n").filter(Boolean).map(l => JSON.parse(l).v).filter(v => typeof v === "number");
+  } catch { return []; }
+}
+
+/** Run one check's extractor and return its data (no diff, no writes) */
+export async function extractCheck(check, ctx = {}) {
+  const def = getCheckType(check.type);
+  if (!def) throw new Error(`Unknown check type: ${check.type}`);
+  return def.run(check, { prev: null, ...ctx });
+}
+
+/** Politeness key: checks on the same host share a HOST_CONCURRENCY budget */
+function hostOf(check) {
+  const first = check.products?.[0];
+  const url = check.url ?? (typeof first === "string" ? first : first?.url);
+  try { return new URL(url).host; } catch { return `check:${check.name}`; }
+}
+
+async function pruneStale(latestDir, keep) {
+  try {
+    const files = await fsp.readdir(latestDir);
+    for (const f of files) {
+      if (!f.endsWith(".json")) continue;
+      const name = f.replace(/\.json$/, "");
+      if (!keep.has(name)) {
+        await fsp.unlink(path.join(latestDir, f));
+        console.log(`[prune] removed stale ${f}`);
+      }
+    }
+  } catch (e) {
+    console.warn(`[prune] warning: ${String(e)}`);
+  }
+}
+
+/** Checks selected by group and/or explicit names; unknown names are an error */
+export function selectChecks({ group = GROUP, names = [] } = {}) {
+  const unknown = names.filter(n => !checks.some(c => c.name === n));
+  if (unknown.length) throw new Error(`Unknown check${unknown.length > 1 ? "s" : ""}: ${unknown.join(", ")}`);
+  return checks.filter(c => (!group || c.group === group) && (!names.length || names.includes(c.name)));
+}
+
+/* ================================
+   main
+   options:
+     group   only checks in this group (default: GROUP env)
+     names   only these checks (no stale-file prune, no group report)
+     dryRun  extract + diff + evaluate alerts, but write nothing and notify nobody
+     due     only checks whose `schedule` is due (others appear in the summary as skipped)
+     idleManifest  when `due` leaves nothing to run, still record the run (all checks
+             skipped) in data/runs/; default true, the daemon's minute ticks turn it off
+   A real run also writes a manifest to data/runs/ (lib/runs.js) and, unless
+   `names` is given, the group report plus the consolidated data/report.json.
+   Resolves to { summary, hadError, runId }.
+=================================== */
+export async function run({ group = GROUP, names = [], dryRun = false, due = false, idleManifest = true, now = new Date() } = {}) {
+  // fail fast on config typos, before any browser launches or data is touched
+  const problems = [...await validateConfig(checks), ...validateChannels(checks)];
+  if (problems.length) throw new ConfigError(problems);
+  const selected = selectChecks({ group, names });
+  const targeted = names.length > 0;
+  const runStartedAt = new Date().toISOString();
+
+  const resultsDir = path.join(root, "data");
+  const latestDir = path.join(resultsDir, "latest");
+  const historyDir = path.join(resultsDir, "history");
+  const outboxDir = path.join(resultsDir, "outbox");
+  const label = targeted ? "checks" : group || "all";
+  const runId = runIdOf(runStartedAt, label);
+  const writeManifest = async (summary) => writeRunManifest(resultsDir, buildManifest({
+    id: runId, group: label, startedAt: runStartedAt, finishedAt: new Date().toISOString(), summary, gitSha: await gitSha()
+  }));
+  let flushed = [];
+  if (!dryRun) {
+    await Promise.all([ensureDir(latestDir), ensureDir(historyDir)]);
+
+    // Seed state from previous published site (docs/data) so appends/diffs work
+    await seedFromDocsData(resultsDir);
+
+    // Retry notifications earlier runs couldn't deliver
+    flushed = await flushOutbox(outboxDir);
+    for (const f of flushed) console.log(`[outbox] ${f.id} -> ${f.sent ? "delivered" : (f.error || f.reason)}`);
+  }
+
+  // a dry run doesn't seed data/, so fall back to the published copy
+  const readPrev = async (name) => await readJson(path.join(latestDir, `${name}.json`))
+    ?? (dryRun ? await readJson(path.join(root, "docs", "data", "latest", `${name}.json`)) : null);
+
+  const dueNames = new Set();
+  for (const check of selected) {
+    if (!due || isDue(check.schedule, (await readPrev(check.name))?.checkedAt, now)) dueNames.add(check.name);
+  }
+  if (due) console.log(`[schedule] ${dueNames.size}/${selected.length} check(s) due`);
+  const notDue = (check) => ({ name: check.name, type: check.type, changed: false, changedKeys: [], diff: [], alerts: [], skipped: "not due", error: null });
+  if (due && !dueNames.size) {
+    // nothing to do, but the run index still shows the scheduled run happened
+    if (dryRun || !idleManifest) return { summary: [], hadError: false };
+    await writeManifest(selected.map(check => ({ ...notDue(check), group: check.group || null })));
+    return { summary: [], hadError: false, runId };
+  }
+
+  // broken / recovered / stale notices go to the check's usual channels
+  const notifyHealth = async (check, event, message, record, prev) => {
+    if (dryRun || check.health?.notify === false) return;
+    const sent = await notify({ check, event, alerts: [{ message }], record, previous: prev }, { outboxDir });
+    for (const n of sent.filter(n => n.error)) console.warn(`[${check.name}] notify ${n.channel} failed: ${n.error}`);
+  };
+
+  const runCheck = async (check) => {
+    const startedAt = new Date().toISOString();
+    let prev = null;
+    try {
+      const latestPath = path.join(latestDir, `${check.name}.json`);
+      prev = await readPrev(check.name);
+
+      const def = getCheckType(check.type);
+      const state = checkState(check.name, {
+        dir: path.join(resultsDir, "state"),
+        fallbackDir: dryRun ? path.join(root, "docs", "data", "state") : null,
+        readOnly: dryRun,
+        // state follows the record: nothing lands unless latest/ is written below
+        deferred: true
+      });
+      // files a type wants kept next to this run's history record (e.g. a text snapshot)
+      const attachments = [];
+      const attach = (file, body) => attachments.push({ file, body });
+      // persist: provider call budgets (data/quota) are only charged by real runs
+      const data = await extractCheck(check, { prev, state, attach, persist: !dryRun });
+      // a selector that still matches but no longer yields the tracked number is a failure too
+      if (prev?.data && seriesValueFor(check, data) === null && seriesValueFor(check, prev.data) !== null) {
+        throw new EmptyResultError(`tracked value came back empty (was ${seriesValueFor(check, prev.data)})`);
+      }
+
+      // --- score the series value against the recent points (read before this run's point is appended) ---
+      const tsPath = path.join(resultsDir, "timeseries", check.name, "series.jsonl");
+      const tsVal = seriesValueFor(check, data);
+      const anomalyOpts = tsVal !== null ? anomalyOptions(check, def) : null;
+      const series = alertsNeedSeries(check) || anomalyOpts ? await readSeriesValues(tsPath) : [];
+      const anomaly = anomalyOpts ? detectAnomaly(tsVal, series, anomalyOpts) : null;
+
+      const { health, event: healthEvent, failures } = nextHealth(healthOf(prev), { at: startedAt });
+      const record = { name: check.name, type: check.type, url: check.url, checkedAt: startedAt, data, health, ...(anomaly ? { anomaly } : {}) };
+
+      const ignore = [...def.ignoreKeys, ...(Array.isArray(check.ignoreKeys) ? check.ignoreKeys : [])];
+      const diff = diffDetails(prev?.data, data, ignore, { arrayKeys: def.arrayKeys?.(check) || {} });
+      const changedKeys = changedKeysOf(diff);
+      const changed = changedKeys.length > 0;
+      // types can spell out a change the raw fields can't (content_watch: the text that moved)
+      if (changed && def.describeChange) diff.push(...def.describeChange(prev?.data, data, check));
+
+      // --- evaluate alert rules ---
+      let alerts = evaluateAlerts(check, { data, prev, changedKeys, series });
+      if (anomaly?.flagged) {
+        // a bogus reading would trip the rules on its key too; the anomaly alert speaks for them
+        if (anomaly.suppressed) alerts = alerts.filter(a => !ruleReadsKey(a.rule, seriesKeyFor(check, data)));
+        if (anomalyOpts.notify) alerts.push({ rule: { when: "anomaly" }, message: anomalyMessage(anomaly) });
+      }
+      const anomalyNote = anomaly?.flagged ? { anomaly: { message: anomalyMessage(anomaly), score: anomaly.score, suppressed: anomaly.suppressed } } : {};
+
+      if (dryRun) {
+        console.log(JSON.stringify({ name: check.name, data, diff, alerts: alerts.map(a => a.message), ...(anomaly ? { anomaly } : {}) }, null, 2));
+        return { name: check.name, type: check.type, changed, changedKeys, diff: trimDiff(diff), alerts: alerts.map(a => a.message), ...anomalyNote, error: null };
+      }
+
+      await writeJson(latestPath, record);
+      await state.commit();
+
+      // --- append time-series for types that declare one (ALWAYS append; rollups follow) ---
+      try {
+        const retention = retentionFor(check);
+        const point = (v, m) => ({ t: startedAt, v, ...(m ? { m } : {}) });
+        if (tsVal !== null && !anomaly?.suppressed) {
+          await appendPoint(tsPath.replace(/\.jsonl$/, ""), point(tsVal, metricsFor(check, data)), { retention });
+        }
+        const itemMetrics = itemMetricsFor(check, data);
+        for (const [id, v] of Object.entries(itemSeriesFor(check, data))) {
+          await appendPoint(path.join(path.dirname(tsPath), "items", id), point(v, finiteMetrics(itemMetrics[id])), { retention });
+        }
+      } catch (e) {
+        console.warn(`[${check.name}] time-series append failed: ${String(e)}`);
+      }
+
+      // --- write history only when something changed ---
+      if (changed) {
+        const stamp = startedAt.replace(/[:]/g, "-");
+        const histPath = path.join(historyDir, check.name, `${stamp}.json`);
+        await writeJson(histPath, { ...record, diff });
+        for (const a of attachments) {
+          await fsp.writeFile(path.join(historyDir, check.name, `${stamp}.${a.file}`), a.body);
+        }
+      }
+
+      if (healthEvent === "recovered") {
+        await notifyHealth(check, "check.recovered", `recovered after ${failures} failed run${failures === 1 ? "" : "s"}`, record, prev);
+      }
+
+      // --- notify only when a rule fired ---
+      let notified = [];
+      if (alerts.length) {
+        notified = await notify({ check, changedKeys, diff, alerts, record, previous: prev }, { outboxDir });
+        for (const n of notified.filter(n => n.error)) console.warn(`[${check.name}] notify ${n.channel} failed: ${n.error}`);
+      }
+
+      console.log(`[${check.name}] changed=${changed} keys=${changedKeys.join(",")}${alerts.length ? ` alerts=${alerts.length}` : ""}${anomaly?.flagged ? ` anomaly=${anomaly.glitch || anomaly.score}` : ""}`);
+      return {
+        name: check.name, type: check.type, changed, changedKeys, diff: trimDiff(diff), alerts: alerts.map(a => a.message),
+        notified: notified.filter(n => n.sent).map(n => n.channel),
+        // visual checks: the diff image (relative to data/) for the reports to link
+        ...(changed && data?.diffImage ? { diffImage: data.diffImage } : {}),
+        ...anomalyNote,
+        error: null
+      };
+    } catch (e) {
+      // a deliberate skip (e.g. rate limited) keeps the previous data and isn't an error
+      if (e instanceof SkipError) {
+        console.warn(`[${check.name}] ${e.message}`);
+        return { name: check.name, type: check.type, changed: false, changedKeys: [], diff: [], alerts: [], skipped: e.message, error: null };
+      }
+      const latestPath = path.join(latestDir, `${check.name}.json`);
+      const { health, event } = nextHealth(healthOf(prev), { at: startedAt, error: e, brokenAfter: check.health?.brokenAfter ?? BROKEN_AFTER });
+      // keep the last good data; health says how long it has been failing and why
+      const recordErr = {
+        name: check.name, type: check.type, url: check.url, checkedAt: startedAt,
+        ...(prev?.data !== undefined ? { data: prev.data } : {}),
+        error: String(e), health
+      };
+      if (!dryRun) await writeJson(latestPath, recordErr);
+      console.error(`[${check.name}] ERROR (${health.errorKind}, ${health.consecutiveFailures}× in a row): ${String(e)}`);
+      if (event === "broken") {
+        const kind = health.httpStatus ? `HTTP ${health.httpStatus}` : health.errorKind;
+        await notifyHealth(check, "check.broken", `broken: ${health.consecutiveFailures} failed runs in a row (${kind}): ${health.lastError}`, recordErr, prev);
+      }
+      return {
+        name: check.name, type: check.type, changed: false, changedKeys: [], diff: [], alerts: [],
+        health: { status: health.status, consecutiveFailures: health.consecutiveFailures, errorKind: health.errorKind },
+        error: String(e)
+      };
+    }
+  };
+
+  // Up to CONCURRENCY checks in flight, at most HOST_CONCURRENCY per host.
+  // The host slot is taken first so checks queued behind a busy host don't hold a global slot.
+  const limitAll = createLimiter(CONCURRENCY);
+  const limitHost = createKeyedLimiter(HOST_CONCURRENCY);
+  // time spent on the check itself, not waiting for a slot
+  const timedCheck = async (check) => {
+    const t0 = Date.now();
+    const s = await runCheck(check);
+    return { ...s, durationMs: Date.now() - t0 };
+  };
+  let summary;
+  try {
+    summary = await Promise.all(selected.map(async check => ({
+      ...(dueNames.has(check.name)
+        ? await limitHost(hostOf(check), () => limitAll(() => timedCheck(check)))
+        : notDue(check)),
+      group: check.group || null
+    })));
+  } finally {
+    await closeBrowser();
+  }
+  const hadError = summary.some(s => s.error);
+  if (dryRun) return { summary, hadError };
+
+  // --- staleness: no success within the expected interval (one notice per stale spell) ---
+  for (const s of summary) {
+    const check = selected.find(c => c.name === s.name);
+    const rec = await readJson(path.join(latestDir, `${check.name}.json`));
+    const health = healthOf(rec);
+    const stale = staleness(check, health, now);
+    if (!stale) continue;
+    s.stale = stale.since;
+    if (health.staleNotifiedAt) continue;
+    const hours = Math.round((now - new Date(stale.since)) / 3_600_000);
+    await notifyHealth(check, "check.stale", `stale: no successful run since ${stale.since} (${hours}h, expected within ${Math.round(stale.limitMs / 3_600_000)}h)`, rec, rec);
+    await writeJson(path.join(latestDir, `${check.name}.json`), { ...rec, health: { ...health, staleNotifiedAt: now.toISOString() } });
+  }
+
+  // prune latest files of checks no longer configured; other groups' checks stay put
+  if (!targeted) await pruneStale(latestDir, new Set(checks.map(c => c.name)));
+
+  const outbox = await outboxStats(outboxDir);
+  outbox.retried = flushed.length;
+  if (outbox.pending) console.warn(`[outbox] ${outbox.pending} notification(s) still pending`);
+
+  if (!targeted) {
+    await writeGroupReports(resultsDir, group || "all", summary, { outbox, run: runId });
+    await writeCombinedReport(resultsDir, { outbox });
+  }
+  await writeManifest(summary);
+
+  console.log("\nDone. Summary:\n", JSON.stringify(summary, null, 2));
+  return { summary, hadError, runId };
+}
@@ -0,0 +1,32 @@
+// src/types/availability.js
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+
+/* ================================
+   availability (Playwright)
+=================================== */
+async function runAvailabilityCheck(check, ctx = {}) {
+  const { page, close } = await openCheckPage(check, ctx);
+  try {
+    await page.waitForSelector(check.selector);
+    const raw = (await page.textContent(check.selector))?.trim() ?? "";
+    const re = check.availableRegex ? new RegExp(check.availableRegex, "i") : /in stock|available/i;
+    return { available: re.test(raw), raw };
+  } finally {
+    await close();
+  }
+}
+
+export default {
+  type: "availability",
+  schema: {
+    url: { type: "url", required: true },
+    selector: { type: "string", required: true },
+    availableRegex: { type: "regex" },
+    ...flowSchema
+  },
+  run: runAvailabilityCheck,
+  // 1/0 flips are the point of this check, not outliers
+  anomaly: false,
+  series: (data) => (typeof data?.available === "boolean") ? (data.available ? 1 : 0) : null,
+  seriesKey: () => "available"
+};
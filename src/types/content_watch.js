@@ -0,0 +1,109 @@
+// src/types/content_watch.js
+import crypto from "crypto";
+import { gzipSync } from "zlib";
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+import { diffTokens, similarity, snippets } from "../lib/textdiff.js";
+
+/* ================================
+   content_watch: normalized text hash
+   snapshot: true keeps the text itself (ctx.state "snapshot", plus a gzipped copy in
+   history on every flagged change) and reports what changed:
+     { hash, length, changePct, added: ["new line", ...], removed: [...] }
+   diffBy: "line" (default) | "word"; minChangePct: changes smaller than this many percent
+   of the text are not flagged, and the baseline stays put so small edits still add up.
+=================================== */
+function applyStrip(text, patterns) {
+  if (!Array.isArray(patterns)) return text;
+  for (const pat of patterns) {
+    try {
+      const re = new RegExp(pat, "gim");
+      text = text.replace(re, "");
+    } catch {}
+  }
+  return text;
+}
+
+/** One entry per non-empty line, inner whitespace collapsed */
+export function snapshotLines(text) {
+  return text.split(/\r?\n/).map(l => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+}
+
+function hashPayload(normalized, check) {
+  const hash = crypto.createHash("sha256").update(normalized).digest("hex");
+  const payload = { hash, length: normalized.length };
+  if (!check.hashOnly) payload.sample = normalized.slice(0, 300);
+  return payload;
+}
+
+async function readText(check, ctx, { layout }) {
+  const { page, close } = await openCheckPage(check, ctx);
+  try {
+    const selectors = Array.isArray(check.selectors) ? check.selectors : [check.selector || "body"];
+    const parts = [];
+    for (const sel of selectors) {
+      await page.waitForSelector(sel);
+      // innerText keeps the rendered line breaks a line diff needs
+      const t = layout ? await page.innerText(sel) : await page.textContent(sel);
+      if (t) parts.push(t);
+    }
+    return parts.join("\n\n");
+  } finally {
+    await close();
+  }
+}
+
+/** Snapshot mode: diff against the stored baseline (see header) */
+export async function compareSnapshot(lines, check, { state, attach } = {}) {
+  const tokens = (ls) => check.diffBy === "word" ? ls.join(" ").split(" ") : ls;
+  const baseline = state ? await state.read("snapshot") : null;
+  const store = async () => {
+    if (state) await state.write("snapshot", { lines });
+    if (attach) attach("snapshot.txt.gz", gzipSync(lines.join("\n")));
+  };
+  if (!baseline?.lines) {
+    await store();
+    return hashPayload(lines.join(" "), check);
+  }
+
+  const ops = diffTokens(tokens(baseline.lines), tokens(lines));
+  const changePct = Math.round((100 - similarity(ops)) * 100) / 100;
+  if (changePct === 0 || changePct < (check.minChangePct ?? 0)) {
+    // not flagged: report the baseline so nothing looks changed
+    return { ...hashPayload(baseline.lines.join(" "), check), changePct };
+  }
+  await store();
+  return { ...hashPayload(lines.join(" "), check), changePct, ...snippets(ops, { joiner: check.diffBy === "word" ? " " : "\n" }) };
+}
+
+async function runContentWatch(check, ctx = {}) {
+  const text = applyStrip(await readText(check, ctx, { layout: !!check.snapshot }), check.stripPatterns);
+  if (check.snapshot) return compareSnapshot(snapshotLines(text), check, ctx);
+  return hashPayload(text.replace(/\s+/g, " ").trim(), check);
+}
+
+/** The text diff as one array-style change, so reports and webhooks list the snippets */
+function describeChange(prev, data) {
+  if (!data?.added && !data?.removed) return [];
+  return [{ key: "hash", path: "text", op: "array", added: data.added || [], removed: data.removed || [] }];
+}
+
+export default {
+  type: "content_watch",
+  schema: {
+    url: { type: "url", required: true },
+    selector: { type: "string" },
+    selectors: { type: "array", items: "string" },
+    hashOnly: { type: "boolean" },
+    stripPatterns: { type: "array", items: "regex" },
+    snapshot: { type: "boolean" },
+    diffBy: { type: "string", enum: ["line", "word"] },
+    minChangePct: { type: "number" },
+    ...flowSchema
+  },
+  validate: (check) => (check.diffBy || check.minChangePct != null) && !check.snapshot
+    ? [{ path: check.diffBy ? "diffBy" : "minChangePct", message: "needs snapshot: true" }]
+    : [],
+  ignoreKeys: ["changePct", "added", "removed"],
+  run: runContentWatch,
+  describeChange
+};
@@ -0,0 +1,115 @@
+// src/types/json_api.js
+import { REALISTIC_UA } from "../lib/config.js";
+import { withRetry, expandEnv, missingEnv } from "../lib/util.js";
+import { httpFetch } from "../lib/http.js";
+import { redactUrl, addSecretParam } from "../lib/fixtures.js";
+import { pickFields, nothingPicked, fieldsSchema, pickedSeriesKey, pickedSeriesValue, pickedMetrics } from "../lib/jsonpath.js";
+
+/* ================================
+   json_api: any JSON endpoint, fields picked by JSONPath or JSON Pointer
+     url:     "https://api.example.com/v1/items/${ITEM_ID}"   `${ENV}` / `${ENV:-default}` anywhere
+     method, headers, body (objects are sent as JSON)
+     auth:    { type: "bearer", token } | { type: "apiKey", name, value, in: "header" | "query" }
+              | { type: "basic", username, password }
+     fields:  { stars: "$.stargazers_count", price: "/data/0/price" }
+   Secrets stay out of errors and fixtures: messages use the configured URL, not the expanded one.
+   Auth whose credential expands empty (`${TOKEN:-}`) is left off, so public endpoints still work.
+=================================== */
+
+/** Request url + init for a check, env placeholders filled in */
+export function buildRequest(check, env = process.env) {
+  const missing = missingEnv({ url: check.url, headers: check.headers, body: check.body, auth: check.auth }, env);
+  if (missing.length) throw new Error(`missing env: ${missing.join(", ")}`);
+
+  const url = new URL(expandEnv(check.url, env));
+  const headers = { "User-Agent": REALISTIC_UA, "Accept": "application/json", ...expandEnv(check.headers || {}, env) };
+  const auth = expandEnv(check.auth, env);
+  if (auth?.type === "bearer" && auth.token) headers["Authorization"] = `Bearer ${auth.token}`;
+  if (auth?.type === "basic" && auth.username) {
+    headers["Authorization"] = "Basic " + Buffer.from(`${auth.username}:${auth.password ?? ""}`).toString("base64");
+  }
+  if (auth?.type === "apiKey" && auth.value) {
+    if (auth.in === "query") {
+      addSecretParam(auth.name); // keep the key out of recorded fixtures
+      url.searchParams.set(auth.name, auth.value);
+    }
+    else headers[auth.name] = auth.value;
+  }
+
+  const init = { method: (check.method || "GET").toUpperCase(), headers };
+  if (check.body != null) {
+    const body = expandEnv(check.body, env);
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+    if (typeof body !== "string" && !Object.keys(headers).some(h => h.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = "application/json";
+    }
+  }
+  return { url: url.href, init };
+}
+
+/** Retriable for network errors, 408, 429 and 5xx; other 4xx fail at once */
+function statusError(status, label) {
+  const e = new Error(`HTTP ${status} from ${label}`);
+  e.retriable = status === 408 || status === 429 || status >= 500;
+  return e;
+}
+
+async function runJsonApiCheck(check) {
+  const { url, init } = buildRequest(check);
+  const label = redactUrl(check.url);
+  const doc = await withRetry(`json_api ${label}`, async () => {
+    // a fresh timeout per attempt; a shared one would already be spent on the retry
+    const r = await httpFetch(url, check.timeoutMs ? { ...init, signal: AbortSignal.timeout(check.timeoutMs) } : init);
+    if (!r.ok) throw statusError(r.status, label);
+    const text = await r.text();
+    try { return JSON.parse(text); } catch {
+      throw Object.assign(new Error(`response from ${label} is not JSON: ${text.slice(0, 80)}`), { retriable: false });
+    }
+  }, { tries: 3, baseMs: 800, factor: 2, shouldRetry: (e) => e.retriable !== false });
+
+  const data = pickFields(doc, check.fields);
+  if (nothingPicked(data)) {
+    const keys = doc && typeof doc === "object" ? Object.keys(doc).slice(0, 12).join(", ") : typeof doc;
+    throw new Error(`no field path matched (response keys: ${keys || "none"})`);
+  }
+  return data;
+}
+
+const AUTH_TYPES = ["bearer", "apiKey", "basic"];
+
+export default {
+  type: "json_api",
+  schema: {
+    url: { type: "url", required: true },
+    method: { type: "string", pattern: /^(GET|POST|PUT|PATCH|DELETE|HEAD)$/i },
+    headers: { type: "object", values: { type: "string" } },
+    body: { type: ["string", "object", "array"] },
+    auth: {
+      type: "object",
+      properties: {
+        type: { type: "string", required: true, enum: AUTH_TYPES },
+        token: { type: "string" },
+        name: { type: "string" },
+        value: { type: "string" },
+        in: { type: "string", enum: ["header", "query"] },
+        username: { type: "string" },
+        password: { type: "string" }
+      }
+    },
+    fields: fieldsSchema,
+    seriesKey: { type: "string" },
+    timeoutMs: { type: "number" }
+  },
+  validate: (check) => {
+    const a = check.auth;
+    if (a?.type === "bearer" && a.token == null) return [{ path: "auth.token", message: "is required for bearer auth" }];
+    if (a?.type === "apiKey" && (a.name == null || a.value == null)) return [{ path: "auth", message: "apiKey auth needs name and value" }];
+    if (a?.type === "basic" && a.username == null) return [{ path: "auth.username", message: "is required for basic auth" }];
+    if (check.seriesKey && !(check.seriesKey in check.fields)) return [{ path: "seriesKey", message: `"${check.seriesKey}" is not one of the fields` }];
+    return [];
+  },
+  run: runJsonApiCheck,
+  series: (data, check) => pickedSeriesValue(data, check, check.fields),
+  seriesKey: (data, check) => pickedSeriesKey(data, check, check.fields),
+  metrics: (data, check) => pickedMetrics(data, check, check.fields)
+};
@@ -0,0 +1,165 @@
+// src/types/page.js
+import { gotoSafely } from "../lib/browser.js";
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+
+/* ================================
+   page: generic DOM extraction (Playwright)
+   `steps` (click / fill / wait …, see lib/steps.js) run before the fields are read.
+   list: { item, fields, key } reads every `item` match into a record of sub-fields
+   (selector inside the item, or the item itself), giving data.items = [{...}, ...] plus
+   count and pages. `key` names the field that identifies a record across runs (default:
+   url, else the first field), so diffs say which items were added, removed or edited.
+   pagination: { next: "a.next" } follows a next link/button, or
+               { urlTemplate: "https://…/page/{page}/", start: 1 } counts pages;
+   both stop at maxPages (default 5) or the first page without items.
+=================================== */
+const DEFAULT_MAX_PAGES = 5;
+
+const fieldSpec = {
+  type: "object",
+  properties: {
+    selector: { type: "string", required: true },
+    attr: { type: "string" }
+  }
+};
+const itemFieldSpec = { ...fieldSpec, properties: { ...fieldSpec.properties, selector: { type: "string" } } };
+
+/** Record field that identifies a list item */
+export function listKey(list) {
+  const names = Object.keys(list.fields || {});
+  return list.key || (names.includes("url") ? "url" : names[0]);
+}
+
+/** Page URLs for a urlTemplate pagination ("{page}" = start, start + 1, …) */
+export function templateUrls({ urlTemplate, start = 1, maxPages = DEFAULT_MAX_PAGES }) {
+  return Array.from({ length: maxPages }, (_, i) => urlTemplate.replace(/\{page\}/g, String(start + i)));
+}
+
+async function readFields(page, fields) {
+  const data = {};
+  for (const [key, spec] of Object.entries(fields)) {
+    const { selector, attr = "text" } = spec;
+    await page.waitForSelector(selector);
+    data[key] = attr === "text"
+      ? (await page.textContent(selector))?.trim() ?? null
+      : await page.getAttribute(selector, attr);
+  }
+  return data;
+}
+
+function readItems(page, list) {
+  return page.$$eval(list.item, (els, fields) => els.map(el => {
+    const out = {};
+    for (const [k, { selector, attr = "text" }] of Object.entries(fields)) {
+      const t = selector ? el.querySelector(selector) : el;
+      if (!t) out[k] = null;
+      else if (attr === "text") out[k] = t.textContent.replace(/\s+/g, " ").trim();
+      // the href/src properties are absolute, so keys don't depend on how the page links
+      else if ((attr === "href" || attr === "src") && t[attr]) out[k] = t[attr];
+      else out[k] = t.getAttribute(attr);
+    }
+    return out;
+  }), list.fields);
+}
+
+/** Move to the next page; false when there is none */
+async function nextPage(page, selector, seen) {
+  const next = page.locator(selector).first();
+  if (!(await next.count()) || !(await next.isVisible())) return false;
+  const href = await next.evaluate(el => el.href || null);
+  if (href) {
+    if (seen.has(href)) return false;
+    seen.add(href);
+    await gotoSafely(page, href);
+  } else {
+    await next.click();
+    await page.waitForLoadState("networkidle", { timeout: 10000 }).catch(() => {});
+  }
+  return true;
+}
+
+async function readList(page, check) {
+  const { list, pagination } = check;
+  const key = listKey(list);
+  const byKey = new Map();
+  let pages = 0;
+  const collect = async () => {
+    const found = await readItems(page, list);
+    pages++;
+    for (const item of found) {
+      const k = item[key] ?? JSON.stringify(item);
+      // a record repeated across pages (sticky "featured" items) counts once
+      if (!byKey.has(k)) byKey.set(k, item);
+    }
+    return found.length;
+  };
+
+  await page.waitForSelector(list.item);
+  await collect();
+  const maxPages = pagination?.maxPages ?? DEFAULT_MAX_PAGES;
+  if (pagination?.urlTemplate) {
+    for (const url of templateUrls(pagination).slice(1)) {
+      await gotoSafely(page, url);
+      await page.waitForSelector(list.item, { timeout: 10000 }).catch(() => {});
+      if (!(await collect())) break;
+    }
+  } else if (pagination?.next) {
+    const seen = new Set([page.url()]);
+    while (pages < maxPages && await nextPage(page, pagination.next, seen)) {
+      await page.waitForSelector(list.item, { timeout: 10000 }).catch(() => {});
+      if (!(await collect())) break;
+    }
+  }
+  const items = [...byKey.values()].slice(0, list.limit ?? Infinity);
+  return { items, count: items.length, pages };
+}
+
+async function runPageCheck(check, ctx = {}) {
+  // with a urlTemplate, page 1 comes from the template too
+  const first = check.pagination?.urlTemplate ? templateUrls(check.pagination)[0] : check.url;
+  const { page, close } = await openCheckPage(check, ctx, {}, first);
+  try {
+    const data = check.fields ? await readFields(page, check.fields) : {};
+    if (check.list) Object.assign(data, await readList(page, check));
+    return data;
+  } finally {
+    await close();
+  }
+}
+
+export default {
+  type: "page",
+  schema: {
+    url: { type: "url", required: true },
+    fields: { type: "object", values: fieldSpec },
+    list: {
+      type: "object",
+      properties: {
+        item: { type: "string", required: true },
+        fields: { type: "object", required: true, values: itemFieldSpec },
+        key: { type: "string" },
+        limit: { type: "number" }
+      }
+    },
+    pagination: {
+      type: "object",
+      properties: {
+        next: { type: "string" },
+        urlTemplate: { type: "string", pattern: /\{page\}/ },
+        start: { type: "number" },
+        maxPages: { type: "number" }
+      }
+    },
+    ...flowSchema
+  },
+  validate: (check) => {
+    if (!check.fields && !check.list) return [{ path: "fields", message: "is required (or give a list)" }];
+    if (check.list?.key && !(check.list.key in check.list.fields)) return [{ path: "list.key", message: `must be one of the list fields (${Object.keys(check.list.fields).join(", ")})` }];
+    if (check.pagination && !check.list) return [{ path: "pagination", message: "needs a list" }];
+    if (check.pagination && !check.pagination.next === !check.pagination.urlTemplate) return [{ path: "pagination", message: "give either next or urlTemplate" }];
+    return [];
+  },
+  ignoreKeys: ["pages"],
+  arrayKeys: (check) => (check.list ? { items: listKey(check.list) } : {}),
+  run: runPageCheck
+};
@@ -0,0 +1,139 @@
+// src/types/price.js
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+import { numOrNull } from "../lib/util.js";
+import { parsePrice } from "../lib/money.js";
+
+/* ================================
+   price (Playwright)
+   one product:  url + selector                       -> { price, currency, raw }
+   a catalog:    url + itemSelector (+ nameSelector / linkSelector), selectors read inside each item
+   a list:       products: ["url" | { id, url }]      -> each page read with the same selectors
+   regularSelector adds { regularPrice, onSale } (e.g. the struck-out price next to a sale price).
+   Multi-product checks return { items: { <id>: {...} }, count } with one series per item.
+=================================== */
+
+/** Kept for plugins/older callers: just the amount */
+export function parseCurrency(txt = "") {
+  return parsePrice(txt).amount;
+}
+
+/** Filename- and path-safe item id ("Pikachu Ex (2023)" -> "pikachu-ex-2023") */
+export function itemId(s) {
+  return String(s || "").toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").replace(/[^\w]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 80) || "item";
+}
+function idFromUrl(url) {
+  try { return itemId(new URL(url).pathname.split("/").filter(Boolean).pop() || new URL(url).host); } catch { return itemId(url); }
+}
+
+function priceFields({ raw, regularRaw }, check) {
+  const opts = { locale: check.locale, currency: check.currency };
+  const p = parsePrice(raw, opts);
+  const out = { price: p.amount, currency: p.currency };
+  if (check.regularSelector) {
+    // no struck-out price on the page means the product isn't on sale
+    const regular = regularRaw ? parsePrice(regularRaw, opts).amount : null;
+    out.regularPrice = regular ?? p.amount;
+    out.onSale = regular != null && p.amount != null && p.amount < regular;
+  }
+  return out;
+}
+
+/** Raw texts for each item (or the whole page) */
+async function readPage(page, check) {
+  await page.waitForSelector(check.itemSelector || check.selector);
+  return page.evaluate(({ itemSelector, selector, regularSelector, nameSelector, linkSelector }) => {
+    const text = (el, sel) => (sel ? el.querySelector(sel)?.textContent?.trim() : "") || "";
+    const roots = itemSelector ? Array.from(document.querySelectorAll(itemSelector)) : [document];
+    return roots.map(el => ({
+      raw: text(el, selector),
+      regularRaw: text(el, regularSelector),
+      name: text(el, nameSelector),
+      href: (linkSelector && el.querySelector(linkSelector)?.href) || ""
+    }));
+  }, {
+    itemSelector: check.itemSelector || null,
+    selector: check.selector,
+    regularSelector: check.regularSelector || null,
+    nameSelector: check.nameSelector || (check.itemSelector ? "h1, h2, h3" : null),
+    linkSelector: check.linkSelector || (check.itemSelector ? "a[href]" : null)
+  });
+}
+
+async function withPage(check, ctx, url, fn) {
+  const { page, close } = await openCheckPage(check, ctx, {}, url);
+  try {
+    return await fn(page);
+  } finally {
+    await close();
+  }
+}
+
+async function runPriceCheck(check, ctx = {}) {
+  if (check.products) {
+    const items = {};
+    for (const p of check.products) {
+      const { url, id = idFromUrl(url) } = typeof p === "string" ? { url: p } : p;
+      try {
+        const [found] = await withPage(check, ctx, url, (page) => readPage(page, check));
+        items[id] = { url, ...priceFields(found, check) };
+      } catch (e) {
+        // one broken product page shouldn't hide the rest of the list
+        items[id] = { url, price: null, error: String(e).split("\n")[0] };
+      }
+    }
+    return { items, count: Object.keys(items).length };
+  }
+
+  const found = await withPage(check, ctx, check.url, (page) => readPage(page, check));
+  if (!check.itemSelector) return { ...priceFields(found[0], check), raw: found[0].raw };
+
+  const items = {};
+  for (const f of found) {
+    let id = itemId(f.name || idFromUrl(f.href));
+    for (let n = 2; items[id]; n++) id = `${itemId(f.name || idFromUrl(f.href))}-${n}`;
+    items[id] = { name: f.name, url: f.href || null, ...priceFields(f, check) };
+  }
+  return { items, count: found.length };
+}
+
+/** Per-item series values: { <id>: price } */
+function itemSeries(data) {
+  if (!data?.items) return {};
+  const out = {};
+  for (const [id, item] of Object.entries(data.items)) {
+    const v = numOrNull(item?.price);
+    if (v !== null) out[id] = v;
+  }
+  return out;
+}
+
+export default {
+  type: "price",
+  schema: {
+    url: { type: "url" },
+    selector: { type: "string", required: true },
+    regularSelector: { type: "string" },
+    currency: { type: "string", pattern: /^[A-Z]{3}$/ },
+    locale: { type: "string" },
+    itemSelector: { type: "string" },
+    nameSelector: { type: "string" },
+    linkSelector: { type: "string" },
+    products: {
+      type: "array",
+      items: {
+        type: ["url", "object"],
+        properties: { id: { type: "string", pattern: /^[\w-]+$/ }, url: { type: "url", required: true } }
+      }
+    },
+    ...flowSchema
+  },
+  validate: (check) => {
+    if (!check.url && !check.products) return [{ path: "url", message: "is required (or give a products list)" }];
+    if (check.products && check.itemSelector) return [{ path: "itemSelector", message: "can't be combined with products" }];
+    return [];
+  },
+  run: runPriceCheck,
+  series: (data) => numOrNull(data?.price),
+  seriesKey: () => "price",
+  itemSeries
+};
@@ -0,0 +1,26 @@
+// src/types/psa_pop_row.js
+import { runTableRowCheck } from "./table_row.js";
+import { numOrNull } from "../lib/util.js";
+
+/* ================================
+   PSA pop report (legacy): TOTAL (or a named column) for a fuzzy-matched row.
+   New checks should use table_row directly; this keeps the old config and record shape.
+=================================== */
+async function runPsaPopRow(check) {
+  const column = check.column || "TOTAL";
+  const d = await runTableRowCheck({ url: check.url, rowMatch: check.rowMatch, columns: { population: column } });
+  return { row: d.row, column, population: d.population, raw: d.raw.population, mode: d.mode };
+}
+
+export default {
+  type: "psa_pop_row",
+  schema: {
+    url: { type: "url", required: true },
+    rowMatch: { type: "string", required: true },
+    column: { type: "string" }
+  },
+  ignoreKeys: ["raw", "mode"],
+  run: runPsaPopRow,
+  series: (data) => numOrNull(data?.population),
+  seriesKey: () => "population"
+};
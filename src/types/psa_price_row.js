@@ -0,0 +1,25 @@
+// src/types/psa_price_row.js
+import { runTableRowCheck } from "./table_row.js";
+import { numOrNull } from "../lib/util.js";
+
+/* ================================
+   PSA price guide (legacy): one grade column for a fuzzy-matched row.
+   New checks should use table_row directly; this keeps the old config and record shape.
+=================================== */
+async function runPsaPriceRow(check) {
+  const d = await runTableRowCheck({ url: check.url, rowMatch: check.rowMatch, columns: { price: check.gradeCol } });
+  return { row: d.row, grade: check.gradeCol, price: d.price, raw: d.raw.price, mode: d.mode };
+}
+
+export default {
+  type: "psa_price_row",
+  schema: {
+    url: { type: "url", required: true },
+    rowMatch: { type: "string", required: true },
+    gradeCol: { type: "string", required: true }
+  },
+  ignoreKeys: ["raw", "mode"],
+  run: runPsaPriceRow,
+  series: (data) => numOrNull(data?.price),
+  seriesKey: () => "price"
+};
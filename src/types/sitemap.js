@@ -0,0 +1,176 @@
+// src/types/sitemap.js
+import { URL } from "url";
+import { fetchTextMaybeGzip } from "../lib/http.js";
+import { decodeEntities } from "../lib/html.js";
+
+/* ================================
+   sitemap helpers + check
+   Entries carry what the sitemap says about each URL: { loc, lastmod, changefreq, title }
+   (title from Google News <news:title>). Indexes are followed recursively:
+   indexLimit children per index, maxDepth levels, maxSitemaps files in total.
+=================================== */
+async function discoverSitemapsFromRobots(startUrl) {
+  const u = new URL(startUrl);
+  const robotsUrl = `${u.protocol}//${u.host}/robots.txt`;
+  try {
+    const text = await fetchTextMaybeGzip(robotsUrl);
+    return Array.from(text.matchAll(/(?<=^|\n)\s*Sitemap:\s*(\S+)\s*/gi)).map(m => m[1]);
+  } catch { return []; }
+}
+
+const tagText = (block, tag) => {
+  const m = block.match(new RegExp(`<\\s*${tag}\\b[^>]*>\\s*(?:<!\\[CDATA\\[)?([\\s\\S]*?)(?:\\]\\]>)?\\s*<\\s*\\/\\s*${tag}\\s*>`, "i"));
+  return m ? decodeEntities(m[1].trim()) || null : null;
+};
+
+export function extractLocsFromXml(xml) {
+  const isIndex = /<\s*sitemapindex[\s>]/i.test(xml);
+  const blockTag = isIndex ? "sitemap" : "url";
+  const entries = [];
+  for (const m of xml.matchAll(new RegExp(`<\\s*${blockTag}\\b[^>]*>([\\s\\S]*?)<\\s*\\/\\s*${blockTag}\\s*>`, "gi"))) {
+    const loc = tagText(m[1], "loc");
+    if (!loc) continue;
+    const e = { loc };
+    const lastmod = tagText(m[1], "lastmod") ?? tagText(m[1], "news:publication_date");
+    if (lastmod) e.lastmod = lastmod;
+    const changefreq = tagText(m[1], "changefreq");
+    if (changefreq) e.changefreq = changefreq.toLowerCase();
+    const title = tagText(m[1], "news:title");
+    if (title) e.title = title;
+    entries.push(e);
+  }
+  // bare <loc> lists (no <url> wrappers) still count
+  if (!entries.length) {
+    for (const m of xml.matchAll(/<\s*loc\s*>\s*([^<]+)\s*<\s*\/\s*loc\s*>/gi)) entries.push({ loc: decodeEntities(m[1].trim()) });
+  }
+  return { isIndex, locs: entries.map(e => e.loc), entries };
+}
+
+/**
+ * Every URL entry reachable from a sitemap (or sitemap index).
+ * Resolves to { source, urls, entries, sitemaps (files read), truncated }.
+ */
+export async function fetchSitemapUrls(url, { indexLimit = 5, maxDepth = 3, maxSitemaps = 50, limit } = {}) {
+  const queue = [url];
+  const tried = new Set();
+  let firstError = null;
+
+  while (queue.length) {
+    const cur = queue.shift();
+    if (tried.has(cur)) continue;
+    tried.add(cur);
+
+    try {
+      const first = extractLocsFromXml(await fetchTextMaybeGzip(cur));
+      const entries = [];
+      const seen = new Set();
+      let sitemaps = 1;
+      let truncated = false;
+      const addEntries = (list, base) => {
+        for (const e of list) {
+          const loc = new URL(e.loc, base).href;
+          if (seen.has(loc)) continue;
+          seen.add(loc);
+          entries.push({ ...e, loc });
+        }
+      };
+
+      if (!first.isIndex) {
+        addEntries(first.entries, cur);
+      } else {
+        // breadth-first over nested indexes; one broken child doesn't sink the rest
+        const pending = [];
+        const enqueue = (children, base, depth) => {
+          if (children.length > indexLimit) truncated = true;
+          for (const c of children.slice(0, indexLimit)) pending.push({ url: new URL(c.loc, base).href, depth });
+        };
+        const visited = new Set([cur]);
+        enqueue(first.entries, cur, 1);
+        while (pending.length && !(limit && entries.length >= limit)) {
+          const { url: sm, depth } = pending.shift();
+          if (visited.has(sm)) continue;
+          if (sitemaps >= maxSitemaps) { truncated = true; break; }
+          visited.add(sm);
+          sitemaps++;
+          try {
+            const sub = extractLocsFromXml(await fetchTextMaybeGzip(sm));
+            if (!sub.isIndex) addEntries(sub.entries, sm);
+            else if (depth < maxDepth) enqueue(sub.entries, sm, depth + 1);
+            else truncated = true;
+          } catch {}
+        }
+        if (pending.length) truncated = true;
+      }
+
+      if (limit && entries.length > limit) truncated = true;
+      const kept = limit ? entries.slice(0, limit) : entries;
+      return { source: cur, urls: kept.map(e => e.loc), entries: kept, sitemaps, truncated };
+    } catch (e) {
+      if (!firstError) firstError = e;
+      if (queue.length === 0 && tried.size === 1) {
+        const discovered = await discoverSitemapsFromRobots(url);
+        for (const d of discovered) queue.push(d);
+      }
+    }
+  }
+  const err = firstError ? firstError.message : "Unknown sitemap error";
+  throw new Error(`Sitemap fetch failed: ${err}`);
+}
+
+/* ================================
+   URL-set sidecar (ctx.state key "urls")
+   Stored as [[loc, lastmod, changefreq, title], ...] with trailing nulls dropped.
+=================================== */
+export function packEntries(entries) {
+  return entries.map(e => {
+    const row = [e.loc, e.lastmod ?? null, e.changefreq ?? null, e.title ?? null];
+    while (row.length > 1 && row[row.length - 1] === null) row.pop();
+    return row;
+  });
+}
+export function unpackEntries(rows = []) {
+  return rows.map(([loc, lastmod, changefreq, title]) => ({
+    loc, ...(lastmod ? { lastmod } : {}), ...(changefreq ? { changefreq } : {}), ...(title ? { title } : {})
+  }));
+}
+
+/** The newest entries by lastmod (for the dashboard), falling back to sitemap order */
+export function recentEntries(entries, n = 10) {
+  const dated = entries.filter(e => e.lastmod && !Number.isNaN(Date.parse(e.lastmod)));
+  const list = dated.length ? [...dated].sort((a, b) => Date.parse(b.lastmod) - Date.parse(a.lastmod)) : entries;
+  return list.slice(0, n);
+}
+
+export const fetchOptions = (check) => ({
+  indexLimit: check.indexLimit || 5,
+  maxDepth: check.maxDepth || 3,
+  maxSitemaps: check.maxSitemaps || 50,
+  limit: check.limit
+});
+
+export async function runSitemapCheck(check, { state } = {}) {
+  const { urls, entries, source, sitemaps, truncated } = await fetchSitemapUrls(check.url, fetchOptions(check));
+  if (state) await state.write("urls", { source, urls: packEntries(entries) });
+  return {
+    source,
+    count: urls.length,
+    sitemaps,
+    ...(truncated ? { truncated } : {}),
+    sample: urls.slice(0, 10),
+    recent: recentEntries(entries)
+  };
+}
+
+export const sitemapSchema = {
+  url: { type: "url", required: true },
+  limit: { type: "number" },
+  indexLimit: { type: "number" },
+  maxDepth: { type: "number" },
+  maxSitemaps: { type: "number" }
+};
+
+export default {
+  type: "sitemap",
+  schema: sitemapSchema,
+  run: runSitemapCheck
+};
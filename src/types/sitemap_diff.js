@@ -0,0 +1,53 @@
+// src/types/sitemap_diff.js
+import { fetchSitemapUrls, fetchOptions, packEntries, unpackEntries, recentEntries, sitemapSchema } from "./sitemap.js";
+
+/* ================================
+   sitemap_diff: added / removed / updated URLs vs previous run
+   "updated" = present both times with a different <lastmod>.
+   The previous URL set comes from the check's sidecar state (data/state/<check>/urls.json.gz),
+   so latest/*.json only holds the changes. Without it (a new check, lost state) the
+   current set becomes the baseline and nothing is reported, like content_watch snapshots.
+=================================== */
+export function diffEntries(prev = [], next = []) {
+  const before = new Map(prev.map(e => [e.loc, e]));
+  const after = new Map(next.map(e => [e.loc, e]));
+  const added = [...after.keys()].filter(x => !before.has(x)).sort();
+  const removed = [...before.keys()].filter(x => !after.has(x)).sort();
+  const updated = [...after.values()]
+    .filter(e => before.has(e.loc) && e.lastmod && before.get(e.loc).lastmod && e.lastmod !== before.get(e.loc).lastmod)
+    .map(e => e.loc)
+    .sort();
+  return { added, removed, updated };
+}
+
+async function runSitemapDiffCheck(check, { state } = {}) {
+  const current = await fetchSitemapUrls(check.url, fetchOptions(check));
+  const saved = state ? await state.read("urls") : null;
+  // no baseline yet: every URL would count as new, and an "added" alert would list the whole sitemap
+  const prevEntries = saved?.urls ? unpackEntries(saved.urls) : current.entries;
+  const { added, removed, updated } = diffEntries(prevEntries, current.entries);
+  if (state) await state.write("urls", { source: current.source, urls: packEntries(current.entries) });
+
+  // titles (Google News sitemaps) make notifications readable without opening every link
+  const isNew = new Set(added);
+  const titles = Object.fromEntries(current.entries.filter(e => e.title && isNew.has(e.loc)).map(e => [e.loc, e.title]));
+  return {
+    source: current.source,
+    nowCount: current.entries.length,
+    prevCount: prevEntries.length,
+    added,
+    removed,
+    updated,
+    ...(Object.keys(titles).length ? { titles } : {}),
+    sitemaps: current.sitemaps,
+    ...(current.truncated ? { truncated: true } : {}),
+    recent: recentEntries(current.entries, 5)
+  };
+}
+
+export default {
+  type: "sitemap_diff",
+  schema: sitemapSchema,
+  ignoreKeys: ["recent", "sitemaps", "titles"],
+  run: runSitemapDiffCheck
+};
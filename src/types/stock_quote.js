@@ -0,0 +1,71 @@
+// src/types/stock_quote.js
+import { numOrNull } from "../lib/util.js";
+import { RateLimitError } from "../lib/errors.js";
+import { getProvider, providerNames, fetchQuotes, DEFAULT_PROVIDER } from "../providers/index.js";
+import { itemId } from "./price.js";
+
+/* ================================
+   Stocks (provider-backed quotes, see src/providers/)
+   symbol: "NTDOY"             -> { symbol, source, price, change, changePercent, raw }
+   symbols: ["NTDOY", "SONY"]  -> { source, quotes: { NTDOY: {...} }, count }, one series per symbol
+   A provider out of budget (or throttling) skips the check instead of failing it;
+   symbols a partial run couldn't quote keep their previous values.
+=================================== */
+async function runStockQuote(check, { prev, persist = false } = {}) {
+  const provider = getProvider(check.provider || DEFAULT_PROVIDER);
+  const symbols = check.symbols || [check.symbol];
+  const { quotes, skipped, reason } = await fetchQuotes(provider, symbols, { persist });
+  if (!Object.keys(quotes).length) throw new RateLimitError(provider.name, reason);
+
+  if (!check.symbols) {
+    const q = quotes[check.symbol];
+    if (numOrNull(q?.price) === null) throw new Error("quote missing price");
+    return { symbol: check.symbol, source: provider.name, ...q };
+  }
+
+  const out = {};
+  for (const s of symbols) {
+    const q = quotes[s];
+    if (q) out[s] = numOrNull(q.price) === null ? { price: null, error: "no quote" } : { price: q.price, change: q.change, changePercent: q.changePercent };
+    else if (prev?.data?.quotes?.[s]) out[s] = prev.data.quotes[s];
+  }
+  return { source: provider.name, quotes: out, count: Object.keys(out).length, ...(skipped.length ? { skipped } : {}) };
+}
+
+/** Per-symbol series values: { <symbol id>: price } */
+function itemSeries(data) {
+  const out = {};
+  for (const [s, q] of Object.entries(data?.quotes || {})) {
+    const v = numOrNull(q?.price);
+    if (v !== null) out[itemId(s)] = v;
+  }
+  return out;
+}
+
+/** change / changePercent next to each price point, per symbol for baskets */
+const quoteMetrics = (q) => ({ change: numOrNull(q?.change), changePercent: numOrNull(q?.changePercent) });
+function itemMetrics(data) {
+  return Object.fromEntries(Object.entries(data?.quotes || {}).map(([s, q]) => [itemId(s), quoteMetrics(q)]));
+}
+
+export default {
+  type: "stock_quote",
+  schema: {
+    symbol: { type: "string" },
+    symbols: { type: "array", items: "string" },
+    provider: { type: "string", enum: providerNames() },
+    url: { type: "url" }
+  },
+  validate: (check) => {
+    if (!check.symbol && !check.symbols?.length) return [{ path: "symbol", message: "is required (or give a symbols list)" }];
+    if (check.symbol && check.symbols) return [{ path: "symbols", message: "can't be combined with symbol" }];
+    return [];
+  },
+  ignoreKeys: ["raw", "skipped"],
+  run: runStockQuote,
+  series: (data) => numOrNull(data?.price),
+  seriesKey: () => "price",
+  itemSeries,
+  metrics: quoteMetrics,
+  itemMetrics
+};
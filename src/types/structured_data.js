@@ -0,0 +1,53 @@
+// src/types/structured_data.js
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+import { fetchTextMaybeGzip } from "../lib/http.js";
+import { extractStructuredData } from "../lib/structured.js";
+import { pickFields, nothingPicked, fieldsSchema, pickedSeriesKey, pickedSeriesValue, pickedMetrics } from "../lib/jsonpath.js";
+
+/* ================================
+   structured_data: JSON-LD / microdata / OpenGraph values picked by JSONPath
+   Paths run against { jsonld: [...], microdata: [...], meta: {...} } (see lib/structured.js):
+     pick: {
+       price: "$.jsonld[?(@.@type=='Product')].offers[0].price",
+       title: "$.meta['og:title']",
+       sizes: { path: "$.microdata..size", all: true },
+       rating: { path: "$..ratingValue", number: true }
+     }
+   Plain HTML first; Playwright when nothing matched (JSON-LD injected client-side) or `browser: true`.
+=================================== */
+const describe = (doc) =>
+  `${doc.jsonld.length} JSON-LD node(s), ${doc.microdata.length} microdata item(s), ${Object.keys(doc.meta).length} meta tag(s)`;
+
+async function runStructuredDataCheck(check, ctx = {}) {
+  if (!check.browser && !check.steps) {
+    try {
+      const data = pickFields(extractStructuredData(await fetchTextMaybeGzip(check.url)), check.pick);
+      if (!nothingPicked(data)) return { ...data, mode: "html" };
+    } catch {}
+  }
+  const { page, close } = await openCheckPage(check, ctx);
+  try {
+    const doc = extractStructuredData(await page.content());
+    const data = pickFields(doc, check.pick);
+    if (nothingPicked(data)) throw new Error(`no pick path matched (page has ${describe(doc)})`);
+    return { ...data, mode: "playwright" };
+  } finally {
+    await close();
+  }
+}
+
+export default {
+  type: "structured_data",
+  schema: {
+    url: { type: "url", required: true },
+    pick: fieldsSchema,
+    browser: { type: "boolean" },
+    seriesKey: { type: "string" },
+    ...flowSchema
+  },
+  ignoreKeys: ["mode"],
+  run: runStructuredDataCheck,
+  series: (data, check) => pickedSeriesValue(data, check, check.pick),
+  seriesKey: (data, check) => pickedSeriesKey(data, check, check.pick),
+  metrics: (data, check) => pickedMetrics(data, check, check.pick)
+};
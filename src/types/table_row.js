@@ -0,0 +1,146 @@
+// src/types/table_row.js
+import { scrapeTablesMatrix } from "../lib/browser.js";
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+import { fetchTextMaybeGzip } from "../lib/http.js";
+import { parseTables, pickBestTable, looseContains, toNumberLike } from "../lib/html.js";
+import { numOrNull } from "../lib/util.js";
+
+/* ================================
+   table_row: read columns from one row of an HTML table
+   table:   tableSelector (browser only), tableHeaders, tableTokens; otherwise the
+            best-scoring table that has every requested column (pickBestTable)
+   row:     rowMatch (fuzzy tokens), rowRegex, rowWhere { column, equals } — all given must hold
+   columns: { key: "Header" } or { key: { header | index, number } }; parsed as numbers unless number: false
+   Tries plain HTML first and falls back to Playwright for script-rendered tables.
+=================================== */
+const norm = (s) => String(s ?? "").replace(/\s+/g, " ").trim().toUpperCase();
+
+/** Header index: exact (case/space-insensitive) match first, then substring */
+export function findColumn(headers, name) {
+  const want = norm(name);
+  const exact = headers.findIndex(h => norm(h) === want);
+  return exact >= 0 ? exact : headers.findIndex(h => norm(h).includes(want));
+}
+
+function columnSpecs(check) {
+  return Object.entries(check.columns).map(([key, spec]) => {
+    const s = typeof spec === "string" ? { header: spec } : spec;
+    return { key, header: s.header, index: s.index, number: s.number !== false };
+  });
+}
+
+function rowMatches(check, headers, row) {
+  const text = row.join(" ");
+  if (check.rowMatch && !looseContains(text, check.rowMatch)) return false;
+  if (check.rowRegex && !new RegExp(check.rowRegex, "i").test(text)) return false;
+  if (check.rowWhere) {
+    const i = findColumn(headers, check.rowWhere.column);
+    if (i < 0 || norm(row[i]) !== norm(check.rowWhere.equals)) return false;
+  }
+  return true;
+}
+
+function describeRow(check) {
+  return [
+    check.rowMatch && JSON.stringify(check.rowMatch),
+    check.rowRegex && `/${check.rowRegex}/`,
+    check.rowWhere && `${check.rowWhere.column} = ${check.rowWhere.equals}`
+  ].filter(Boolean).join(" & ") || "(first row)";
+}
+
+/** Pick the table, match the row and read the configured columns from parsed tables */
+export function extractTableRow(tables, check) {
+  const cols = columnSpecs(check);
+  const wanted = [...(check.tableHeaders || []), ...cols.filter(c => c.index == null).map(c => c.header)];
+  const tokens = check.tableTokens ?? (check.rowMatch || "").split(/[^A-Za-z0-9]+/).filter(Boolean);
+  const table = pickBestTable(tables, wanted, tokens);
+  if (!table) throw new Error(`no table with column${wanted.length === 1 ? "" : "s"}: ${wanted.join(", ")}`);
+
+  const { headers, rows } = table;
+  const row = rows.find(r => rowMatches(check, headers, r));
+  if (!row) throw new Error(`row not found: ${describeRow(check)}`);
+
+  const labelIdx = check.labelColumn ? findColumn(headers, check.labelColumn) : 0;
+  const out = { row: row[labelIdx] ?? null };
+  const raw = {};
+  for (const c of cols) {
+    const i = c.index ?? findColumn(headers, c.header);
+    raw[c.key] = row[i] ?? "";
+    out[c.key] = c.number ? toNumberLike(raw[c.key]) : raw[c.key];
+  }
+  return { ...out, raw };
+}
+
+export async function runTableRowCheck(check, ctx = {}) {
+  // steps need a real page, so they skip the plain-HTTP attempt
+  if (!check.tableSelector && !check.browser && !check.steps) {
+    try {
+      const html = await fetchTextMaybeGzip(check.url);
+      return { ...extractTableRow(parseTables(html), check), mode: "html" };
+    } catch {}
+  }
+  const { page, close } = await openCheckPage(check, ctx);
+  try {
+    const tables = await scrapeTablesMatrix(page, check.tableSelector);
+    return { ...extractTableRow(tables, check), mode: "playwright" };
+  } finally {
+    await close();
+  }
+}
+
+/** Series column: `seriesKey`, else the first numeric column */
+const seriesKeyOf = (check) => check.seriesKey ?? columnSpecs(check).find(c => c.number)?.key ?? null;
+
+function seriesValue(data, check) {
+  const key = seriesKeyOf(check);
+  return key ? numOrNull(data?.[key]) : null;
+}
+
+/** The other numeric columns, stored as metrics next to the series value */
+function metrics(data, check) {
+  const key = seriesKeyOf(check);
+  return Object.fromEntries(columnSpecs(check)
+    .filter(c => c.number && c.key !== key && numOrNull(data?.[c.key]) !== null)
+    .map(c => [c.key, data[c.key]]));
+}
+
+const columnSpec = {
+  type: ["string", "object"],
+  properties: {
+    header: { type: "string" },
+    index: { type: "number" },
+    number: { type: "boolean" }
+  },
+  validate: (v) => (typeof v === "object" && v.header == null && v.index == null)
+    ? [{ message: "needs a header or an index" }]
+    : []
+};
+
+export default {
+  type: "table_row",
+  schema: {
+    url: { type: "url", required: true },
+    tableSelector: { type: "string" },
+    tableHeaders: { type: "array", items: "string" },
+    tableTokens: { type: "array", items: "string" },
+    browser: { type: "boolean" },
+    rowMatch: { type: "string" },
+    rowRegex: { type: "regex" },
+    rowWhere: {
+      type: "object",
+      properties: {
+        column: { type: "string", required: true },
+        equals: { type: ["string", "number"], required: true }
+      }
+    },
+    labelColumn: { type: "string" },
+    columns: { type: "object", required: true, values: columnSpec },
+    seriesKey: { type: "string" },
+    ...flowSchema
+  },
+  ignoreKeys: ["raw", "mode"],
+  run: runTableRowCheck,
+  series: seriesValue,
+  seriesKey: (data, check) => seriesKeyOf(check),
+  metrics
+};
@@ -0,0 +1,103 @@
+// src/types/visual.js
+import crypto from "crypto";
+import { decodePng, encodePng } from "../lib/png.js";
+import { diffImages } from "../lib/pixeldiff.js";
+import { numOrNull } from "../lib/util.js";
+import { openCheckPage, flowSchema } from "../lib/steps.js";
+
+/* ================================
+   visual: screenshot pixel diff
+   Screenshots the page (or `selector`), with `mask` selectors painted over (clocks, ads).
+   The baseline lives in data/state/<check>/baseline.png; when more than `threshold` percent
+   of pixels differ it is replaced, the new screenshot and a diff image are kept in history,
+   and data/state/<check>/diff.png is the latest diff for the dashboard and reports.
+   `tolerance` (0..1) is how far a pixel's colour may drift before it counts as different.
+=================================== */
+const sha1 = (buf) => crypto.createHash("sha1").update(buf).digest("hex").slice(0, 16);
+
+async function capture(check, ctx) {
+  const { page, close } = await openCheckPage(check, ctx, { media: true, ...(check.viewport ? { viewport: check.viewport } : {}) });
+  try {
+    if (check.waitFor) await page.waitForSelector(check.waitFor);
+    if (check.delayMs) await page.waitForTimeout(check.delayMs);
+    const opts = { animations: "disabled", caret: "hide", mask: (check.mask || []).map(s => page.locator(s)) };
+    return check.selector
+      ? await page.locator(check.selector).first().screenshot(opts)
+      : await page.screenshot({ ...opts, fullPage: !!check.fullPage });
+  } finally {
+    await close();
+  }
+}
+
+/** Compare a fresh screenshot with the stored baseline (see header) */
+export async function compareScreenshot(png, check, { prev, state, attach } = {}) {
+  const img = decodePng(png);
+  const current = { hash: sha1(img.data), width: img.width, height: img.height };
+  const baselinePng = state ? await state.readBuffer("baseline.png") : null;
+  const keep = async (diffPng) => {
+    if (state) {
+      await state.writeBuffer("baseline.png", png);
+      if (diffPng) await state.writeBuffer("diff.png", diffPng);
+    }
+    if (attach) {
+      attach("screenshot.png", png);
+      if (diffPng) attach("diff.png", diffPng);
+    }
+  };
+  if (!baselinePng) {
+    await keep(null);
+    return { ...current, diffPct: null };
+  }
+
+  const baseline = decodePng(baselinePng);
+  const { diffPct, changedPixels, image } = diffImages(baseline, img, { tolerance: check.tolerance ?? 0.1 });
+  if (diffPct <= (check.threshold ?? 0.1)) {
+    // not flagged: report the baseline, and keep pointing at the last real diff
+    return {
+      hash: sha1(baseline.data), width: baseline.width, height: baseline.height, diffPct,
+      ...(prev?.data?.diffImage ? { diffImage: prev.data.diffImage } : {})
+    };
+  }
+  await keep(encodePng(image));
+  return { ...current, diffPct, changedPixels, diffImage: `state/${check.name}/diff.png` };
+}
+
+async function runVisualCheck(check, ctx = {}) {
+  return compareScreenshot(await capture(check, ctx), check, ctx);
+}
+
+function describeChange(prev, data) {
+  if (data?.diffPct == null) return [];
+  return [{ key: "hash", path: "pixels", op: "changed", before: "baseline", after: `${data.diffPct}% of pixels differ (${data.diffImage})` }];
+}
+
+export default {
+  type: "visual",
+  schema: {
+    url: { type: "url", required: true },
+    selector: { type: "string" },
+    fullPage: { type: "boolean" },
+    mask: { type: "array", items: "string" },
+    viewport: {
+      type: "object",
+      properties: { width: { type: "number", required: true }, height: { type: "number", required: true } }
+    },
+    waitFor: { type: "string" },
+    delayMs: { type: "number" },
+    threshold: { type: "number" },
+    tolerance: { type: "number" },
+    ...flowSchema
+  },
+  validate: (check) => {
+    if (check.tolerance != null && (check.tolerance < 0 || check.tolerance > 1)) return [{ path: "tolerance", message: "must be between 0 and 1" }];
+    if (check.selector && check.fullPage) return [{ path: "fullPage", message: "can't be combined with selector" }];
+    return [];
+  },
+  ignoreKeys: ["diffPct", "changedPixels", "diffImage"],
+  run: runVisualCheck,
+  // a diff percentage sits at 0 most runs; a jump is what the check reports anyway
+  anomaly: false,
+  series: (data) => numOrNull(data?.diffPct),
+  seriesKey: () => "diffPct",
+  describeChange
+};
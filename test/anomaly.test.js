@@ -0,0 +1,80 @@
+// test/anomaly.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectAnomaly, anomalyOptions, anomalyMessage } from "../src/lib/anomaly.js";
+import { validateFields, commonSchema } from "../src/lib/validate.js";
+import { evaluateAlerts, ruleReadsKey } from "../src/lib/alerts.js";
+import price from "../src/types/price.js";
+import availability from "../src/types/availability.js";
+
+const prices = [20.1, 19.9, 20.3, 20.0, 20.2, 19.8, 20.4, 20.1, 19.9, 20.0, 20.2, 20.3];
+
+test("robust z-score flags outliers but not ordinary moves", () => {
+  const calm = detectAnomaly(20.5, prices);
+  assert.equal(calm.flagged, false);
+  assert.equal(calm.median, 20.1);
+  assert.equal(calm.window, 12);
+
+  const spike = detectAnomaly(26, prices);
+  assert.equal(spike.flagged, true);
+  assert.ok(spike.score > 3.5, `score ${spike.score}`);
+  assert.equal(spike.glitch, undefined);
+  assert.equal(spike.suppressed, false);
+  assert.match(anomalyMessage(spike), /^anomalous value 26 \(score [\d.]+ vs 12-point median 20.1\)$/);
+
+  assert.equal(detectAnomaly(26, prices, { method: "zscore" }).flagged, true);
+  assert.ok("mean" in detectAnomaly(26, prices, { method: "zscore" }));
+  // too little history to score, and a flat window can't be scored at all
+  assert.equal(detectAnomaly(26, prices.slice(0, 5)), null);
+  assert.equal(detectAnomaly(5, Array(12).fill(4)), null);
+});
+
+test("parse glitches are flagged early and kept out of the series", () => {
+  const zero = detectAnomaly(0, [20, 21, 20.5]);
+  assert.equal(zero.glitch, "zero");
+  assert.equal(zero.score, null);
+  assert.equal(zero.suppressed, true);
+  assert.equal(anomalyMessage(zero), "anomalous value 0 (zero glitch), kept out of the series");
+
+  assert.equal(detectAnomaly(-20, prices).glitch, "sign");
+  assert.equal(detectAnomaly(20100, prices).glitch, "scale");
+  assert.equal(detectAnomaly(0.201, prices).glitch, "scale");
+  // series that already touch 0 (stock counts, availability) don't count a 0 as a glitch
+  assert.equal(detectAnomaly(0, [1, 0, 1, 1]), null);
+
+  assert.equal(detectAnomaly(0, prices, { suppress: "none" }).suppressed, false);
+  assert.equal(detectAnomaly(26, prices, { suppress: "all" }).suppressed, true);
+});
+
+test("anomaly options merge defaults and validate", () => {
+  assert.equal(anomalyOptions({ anomaly: false }), null);
+  assert.equal(anomalyOptions({}).threshold, 3.5);
+  assert.equal(anomalyOptions({ anomaly: { threshold: 5, notify: false } }).threshold, 5);
+  // off by default for flag series, unless the check turns it on
+  assert.equal(anomalyOptions({}, availability), null);
+  assert.equal(anomalyOptions({ anomaly: true }, availability).threshold, 3.5);
+  assert.deepEqual(validateFields({ name: "x", type: "page", anomaly: { suppress: "some" } }, commonSchema).map(p => p.path), ["anomaly.suppress"]);
+  assert.deepEqual(validateFields({ name: "x", type: "page", anomaly: false }, commonSchema), []);
+});
+
+test("an availability series going 1 → 0 is a reading, not a glitch", () => {
+  assert.equal(detectAnomaly(0, [1, 1, 1, 1]), null);
+  assert.equal(detectAnomaly(0, Array(30).fill(1)), null);
+  assert.equal(detectAnomaly(0, [0.4, 0.5, 0.45]), null);
+  assert.equal(detectAnomaly(0, [1.5, 2, 1.8]).glitch, "zero");
+});
+
+test("a suppressed value only holds back the rules on the series key", () => {
+  // price glitches to 0 in the same run the item goes out of stock
+  const check = { name: "p", type: "price", alerts: [
+    { when: "below", key: "price", value: 5 },
+    { when: "becomes", key: "available", value: false },
+    { when: "changed" }
+  ] };
+  const data = { price: 0, available: false, added: [] };
+  const fired = evaluateAlerts(check, { data, prev: { data: { price: 20, available: true, added: [] } }, changedKeys: ["price", "available"], series: [] });
+  assert.equal(fired.length, 3);
+  const kept = fired.filter(a => !ruleReadsKey(a.rule, price.seriesKey(data, check)));
+  assert.deepEqual(kept.map(a => a.rule.when), ["becomes", "changed"]);
+  assert.equal(ruleReadsKey({ when: "below", key: "price" }, null), false);
+});
@@ -0,0 +1,35 @@
+// test/checks.test.js
+// Replays every check that has an expected output under test/fixtures/expected
+// against the recorded HTTP fixtures. Refresh both with: node src/cli.js record <name>
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+
+// stock_quote refuses to run without a key; the recorded URL has it masked anyway
+process.env.ALPHAVANTAGE_KEY ||= "test";
+
+const { default: checks } = await import("../src/checks.js");
+const { setFixtureMode, listExpected, expectedPath } = await import("../src/lib/fixtures.js");
+const { readJson } = await import("../src/lib/fsutil.js");
+const { extractCheck } = await import("../src/runner.js");
+const { closeBrowser } = await import("../src/lib/browser.js");
+
+setFixtureMode("replay");
+after(() => closeBrowser());
+
+// browser checks need Chromium (npx playwright install chromium); skip where it's missing
+const NO_BROWSER = /browserType\.launch/;
+
+for (const name of await listExpected()) {
+  test(`extract ${name}`, async (t) => {
+    const check = checks.find(c => c.name === name);
+    assert.ok(check, `expected/${name}.json has no matching check in src/checks.js`);
+    let data;
+    try {
+      data = await extractCheck(check);
+    } catch (e) {
+      if (NO_BROWSER.test(String(e))) return t.skip("chromium not installed");
+      throw e;
+    }
+    assert.deepEqual(data, await readJson(expectedPath(name)));
+  });
+}
@@ -0,0 +1,81 @@
+// test/content_watch.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import { gunzipSync } from "zlib";
+import os from "os";
+import path from "path";
+import { diffTokens, similarity, snippets } from "../src/lib/textdiff.js";
+import contentWatch, { compareSnapshot, snapshotLines } from "../src/types/content_watch.js";
+import { checkState } from "../src/lib/state.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+let tmp;
+before(async () => { tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "cw-")); });
+after(() => fsp.rm(tmp, { recursive: true, force: true }));
+
+test("diffTokens finds added and removed runs in order", () => {
+  const ops = diffTokens(["a", "b", "c", "d"], ["a", "x", "c", "d", "e"]);
+  assert.deepEqual(ops, [
+    { op: "=", items: ["a"] },
+    { op: "-", items: ["b"] },
+    { op: "+", items: ["x"] },
+    { op: "=", items: ["c", "d"] },
+    { op: "+", items: ["e"] }
+  ]);
+  assert.equal(Math.round(similarity(ops)), 67);
+  assert.equal(similarity(diffTokens(["a"], ["a"])), 100);
+  assert.deepEqual(snippets(ops), { added: ["x", "e"], removed: ["b"] });
+});
+
+test("snapshotLines drops blank lines and collapses spaces", () => {
+  assert.deepEqual(snapshotLines("  8-K   filed \n\n\t\n Form 4\r\n"), ["8-K filed", "Form 4"]);
+});
+
+test("snapshot mode reports changed lines and honours minChangePct", async () => {
+  const state = checkState("sec", { dir: tmp });
+  const attached = [];
+  const ctx = { state, attach: (file, body) => attached.push({ file, body }) };
+  const check = { snapshot: true, minChangePct: 10, hashOnly: true };
+  const lines = Array.from({ length: 20 }, (_, i) => `filing ${i}`);
+
+  const first = await compareSnapshot(lines, check, ctx);
+  assert.equal(first.added, undefined);
+  assert.equal(attached.length, 1);
+  assert.equal(gunzipSync(attached[0].body).toString(), lines.join("\n"));
+
+  // one line in twenty changed = 5%: below the threshold, same hash as before
+  const small = await compareSnapshot([...lines.slice(0, 19), "filing 99"], check, ctx);
+  assert.equal(small.hash, first.hash);
+  assert.equal(small.changePct, 5);
+  assert.equal(attached.length, 1);
+
+  // a second small edit on top of the first: 2 of 20 lines against the untouched baseline
+  const more = await compareSnapshot(["8-K Apple Inc.", ...lines.slice(1, 19), "filing 99"], check, ctx);
+  assert.notEqual(more.hash, first.hash);
+  assert.equal(more.changePct, 10);
+  assert.deepEqual(more.added, ["8-K Apple Inc.", "filing 99"]);
+  assert.deepEqual(more.removed, ["filing 0", "filing 19"]);
+  assert.equal(attached.length, 2);
+
+  const detail = contentWatch.describeChange(first, more);
+  assert.deepEqual(detail, [{ key: "hash", path: "text", op: "array", added: more.added, removed: more.removed }]);
+});
+
+test("word diffs report changed words, not whole lines", async () => {
+  const state = checkState("words", { dir: tmp });
+  const check = { snapshot: true, diffBy: "word" };
+  await compareSnapshot(["Quarterly report filed on May 2"], check, { state });
+  const next = await compareSnapshot(["Quarterly report filed on August 1"], check, { state });
+  assert.deepEqual(next.added, ["August 1"]);
+  assert.deepEqual(next.removed, ["May 2"]);
+});
+
+test("diffBy / minChangePct need snapshot mode", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "c", type: "content_watch", url: "https://x.test/", ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({ snapshot: true, diffBy: "word", minChangePct: 2 }), []);
+  assert.deepEqual(check({ minChangePct: 2 }), ["minChangePct: needs snapshot: true"]);
+});
@@ -0,0 +1,81 @@
+// test/extractors.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTables, pickBestTable, toNumberLike, looseContains, tokensFound } from "../src/lib/html.js";
+import { extractLocsFromXml } from "../src/types/sitemap.js";
+import { parseCurrency } from "../src/types/price.js";
+import { diffDetails, changedKeysOf, fmtChange } from "../src/lib/diff.js";
+import { redactUrl } from "../src/lib/fixtures.js";
+
+const TABLES = `
+<table><tr><td>nav</td></tr></table>
+<table>
+  <thead><tr><th>Name</th><th>MINT 9</th><th>GEM-MT 10</th></tr></thead>
+  <tbody>
+    <tr><td>Charizard-Holo 1st Edition</td><td>$41,000.00</td><td>$399,000.00</td></tr>
+    <tr><td><a href="#">Blastoise</a></td><td>$3,900</td><td>&ndash;</td></tr>
+  </tbody>
+</table>`;
+
+test("parseTables reads headers from thead and cleans cells", () => {
+  const [nav, grid] = parseTables(TABLES);
+  assert.deepEqual(nav.headers, ["nav"]);
+  assert.deepEqual(grid.headers, ["Name", "MINT 9", "GEM-MT 10"]);
+  assert.deepEqual(grid.rows[1], ["Blastoise", "$3,900", "&ndash;"]);
+});
+
+test("pickBestTable prefers the table with the wanted column", () => {
+  const best = pickBestTable(parseTables(TABLES), "gem-mt 10", ["charizard"]);
+  assert.equal(best.rows.length, 2);
+  assert.equal(pickBestTable(parseTables(TABLES), "PSA 11"), null);
+});
+
+test("toNumberLike / parseCurrency strip symbols and separators", () => {
+  assert.equal(toNumberLike("$399,000.00"), 399000);
+  assert.equal(toNumberLike("7,896"), 7896);
+  assert.equal(toNumberLike(null), null);
+  assert.equal(parseCurrency("£63.00"), 63);
+});
+
+test("looseContains / tokensFound ignore punctuation and case", () => {
+  assert.ok(looseContains("Charizard-Holo 1st Edition", "charizard holo 1st"));
+  assert.ok(!looseContains("Charizard-Holo", "charizard holo 1st"));
+  assert.ok(tokensFound("Charizard-Holo 1st Edition", ["HOLO", "edition"]));
+});
+
+test("extractLocsFromXml tells an index from a urlset", () => {
+  const idx = extractLocsFromXml(`<sitemapindex><sitemap><loc> https://a/1.xml </loc></sitemap></sitemapindex>`);
+  assert.deepEqual(idx, { isIndex: true, locs: ["https://a/1.xml"], entries: [{ loc: "https://a/1.xml" }] });
+  const set = extractLocsFromXml(`<urlset><url><loc>https://a/x</loc></url><url><loc>https://a/y</loc></url></urlset>`);
+  assert.deepEqual(set, { isIndex: false, locs: ["https://a/x", "https://a/y"], entries: [{ loc: "https://a/x" }, { loc: "https://a/y" }] });
+});
+
+test("diffDetails reports changed fields and array members", () => {
+  const diff = diffDetails(
+    { price: 10, raw: "$10", urls: ["a", "b"] },
+    { price: 12, raw: "$12", urls: ["b", "c"] },
+    ["raw"]
+  );
+  assert.deepEqual(changedKeysOf(diff), ["price", "urls"]);
+  assert.deepEqual(diff.find(d => d.key === "urls"), { key: "urls", path: "urls", op: "array", added: ["c"], removed: ["a"] });
+});
+
+test("diffDetails matches keyed records and reports edits per field", () => {
+  const before = { items: [{ sku: "1", name: "Bulbasaur", price: "£63" }, { sku: "2", name: "Ivysaur", price: "£87", stock: 3 }] };
+  const after = { items: [{ sku: "3", name: "Venusaur", price: "£105" }, { sku: "2", name: "Ivysaur", price: "£80", stock: 1 }, { sku: "1", name: "Bulbasaur", price: "£63" }] };
+  const diff = diffDetails(before, after, ["items.stock"], { arrayKeys: { items: "sku" } });
+  assert.deepEqual(diff, [
+    { key: "items", path: "items", op: "array", keyField: "sku", added: [after.items[0]], removed: [] },
+    { key: "items", path: "items[2].price", op: "changed", before: "£87", after: "£80" }
+  ]);
+  assert.equal(fmtChange(diff[0]), "+1: 3");
+  // reordering alone is not a change
+  assert.deepEqual(diffDetails(before, { items: [...before.items].reverse() }, [], { arrayKeys: { items: "sku" } }), []);
+});
+
+test("redactUrl masks secret query params", () => {
+  assert.equal(
+    redactUrl("https://x.test/q?symbol=NTDOY&apikey=abc123"),
+    "https://x.test/q?symbol=NTDOY&apikey=REDACTED"
+  );
+});
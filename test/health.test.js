@@ -0,0 +1,76 @@
+// test/health.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, healthOf, nextHealth, staleness, staleAfterMs } from "../src/lib/health.js";
+import { expectedIntervalMs } from "../src/lib/schedule.js";
+import { EmptyResultError } from "../src/lib/errors.js";
+import { buildEvent, titleFor, summaryLine } from "../src/notify/format.js";
+
+const at = (iso) => new Date(iso);
+
+test("classifyError tells timeouts, HTTP, selectors and parsing apart", () => {
+  const timeout = Object.assign(new Error("page.goto: Timeout 45000ms exceeded."), { name: "TimeoutError" });
+  assert.deepEqual(classifyError(timeout), { kind: "timeout" });
+  assert.deepEqual(classifyError(new Error("page.waitForSelector: Timeout 45000ms exceeded.\nwaiting for locator('h1') to be visible")), { kind: "selector" });
+  assert.deepEqual(classifyError(new Error("json_api x failed after 3 attempts: Error: HTTP 503 from https://x.test/")), { kind: "http", httpStatus: 503 });
+  assert.deepEqual(classifyError(new Error("row not found: Charizard")), { kind: "selector" });
+  assert.deepEqual(classifyError(new Error("no field path matched (response keys: a)")), { kind: "parse" });
+  assert.deepEqual(classifyError(new EmptyResultError("tracked value came back empty")), { kind: "parse-null" });
+  assert.deepEqual(classifyError(new Error("missing env: SITE_PASSWORD")), { kind: "config" });
+  assert.deepEqual(classifyError(new Error("getaddrinfo ENOTFOUND x.test")), { kind: "network" });
+  assert.deepEqual(classifyError("boom"), { kind: "other" });
+});
+
+test("nextHealth counts failures, breaks at the threshold and recovers once", () => {
+  const err = new Error("row not found: Charizard");
+  let h = healthOf({ checkedAt: "2025-03-01T00:00:00Z", data: {} });
+  assert.deepEqual(h, { status: "ok", consecutiveFailures: 0, lastSuccessAt: "2025-03-01T00:00:00Z" });
+
+  const events = [];
+  for (const t of ["01:00", "02:00", "03:00", "04:00"]) {
+    const r = nextHealth(h, { at: `2025-03-01T${t}:00Z`, error: err, brokenAfter: 3 });
+    h = r.health;
+    events.push(r.event);
+  }
+  assert.deepEqual(events, [null, null, "broken", null]);
+  assert.equal(h.status, "broken");
+  assert.equal(h.consecutiveFailures, 4);
+  assert.equal(h.errorKind, "selector");
+  assert.equal(h.lastSuccessAt, "2025-03-01T00:00:00Z");
+
+  const ok = nextHealth(h, { at: "2025-03-01T05:00:00Z" });
+  assert.equal(ok.event, "recovered");
+  assert.equal(ok.failures, 4);
+  assert.deepEqual(ok.health, { status: "ok", consecutiveFailures: 0, lastSuccessAt: "2025-03-01T05:00:00Z", lastFailureAt: "2025-03-01T04:00:00Z" });
+  // a blip that never reached "broken" recovers quietly
+  const blip = nextHealth(nextHealth(ok.health, { at: "2025-03-01T06:00:00Z", error: err }).health, { at: "2025-03-01T07:00:00Z" });
+  assert.equal(blip.event, null);
+});
+
+test("staleness follows the schedule's interval unless staleAfter is set", () => {
+  assert.equal(expectedIntervalMs("every 2h"), 7_200_000);
+  assert.equal(expectedIntervalMs("0 */6 * * *", at("2025-03-01T13:00:00Z")), 6 * 3_600_000);
+  assert.equal(expectedIntervalMs(undefined), null);
+
+  const health = { status: "failing", lastSuccessAt: "2025-03-01T00:00:00Z" };
+  const check = { name: "c", schedule: "every 2h" };
+  assert.equal(staleAfterMs(check), 6 * 3_600_000);
+  assert.equal(staleness(check, health, at("2025-03-01T05:00:00Z")), null);
+  assert.deepEqual(staleness(check, health, at("2025-03-01T07:00:00Z")), { since: "2025-03-01T00:00:00Z", limitMs: 6 * 3_600_000 });
+  assert.equal(staleness({ ...check, health: { staleAfter: "12h" } }, health, at("2025-03-01T07:00:00Z")), null);
+  // unscheduled checks fall back to STALE_AFTER (1 day)
+  assert.equal(staleness({ name: "c" }, health, at("2025-03-01T23:00:00Z")), null);
+  assert.equal(staleness({ name: "c" }, { lastSuccessAt: null }, at("2025-03-09T00:00:00Z")), null);
+});
+
+test("health notices get their own title and event id", () => {
+  const check = { name: "psa_pop", group: "compliance", type: "table_row" };
+  const record = { checkedAt: "2025-03-01T03:00:00Z" };
+  const broken = buildEvent({ check, event: "check.broken", alerts: [{ message: "broken: 3 failed runs in a row (selector): row not found" }], record });
+  const changed = buildEvent({ check, record });
+  assert.equal(broken.event, "check.broken");
+  assert.equal(titleFor(broken), "🚨 psa_pop broken");
+  assert.equal(summaryLine(broken), "broken: 3 failed runs in a row (selector): row not found");
+  assert.notEqual(broken.id, changed.id);
+  assert.equal(changed.event, "scrape.changed");
+});
@@ -0,0 +1,108 @@
+// test/json_api.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import jsonApi, { buildRequest } from "../src/types/json_api.js";
+import { query, pickFields } from "../src/lib/jsonpath.js";
+import { redactUrl } from "../src/lib/fixtures.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+let server;
+let base;
+const seen = [];
+let slowed = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => {
+      seen.push({ method: req.method, url: req.url, headers: req.headers, body });
+      if (req.url.startsWith("/missing")) { res.writeHead(404); return res.end("{}"); }
+      if (req.url.startsWith("/slow-once") && !slowed++) return setTimeout(() => res.end("{}"), 400);
+      if (req.url.startsWith("/html")) { res.writeHead(200, { "content-type": "text/html" }); return res.end("<html></html>"); }
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ data: [{ sku: "a/b", price: "19.99" }], meta: { total: 1 } }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => new Promise((r) => server.close(r)));
+
+test("JSON Pointer paths sit next to JSONPath", () => {
+  const doc = { data: [{ "a/b": 1, "t~n": 2 }], n: 0 };
+  assert.deepEqual(query(doc, "/data/0/a~1b"), [1]);
+  assert.deepEqual(query(doc, "/data/0/t~0n"), [2]);
+  assert.deepEqual(query(doc, "/n"), [0]);
+  assert.deepEqual(query(doc, "/data/5"), []);
+  assert.deepEqual(pickFields(doc, { first: "/data/0/a~1b", count: "$.n", none: "/x" }), { first: 1, count: 0, none: null });
+});
+
+test("buildRequest fills env placeholders and applies auth", () => {
+  const env = { API_HOST: "api.test", TOKEN: "s3cret", KEY: "k1" };
+  const bearer = buildRequest({ url: "https://${API_HOST}/v1", auth: { type: "bearer", token: "${TOKEN}" } }, env);
+  assert.equal(bearer.url, "https://api.test/v1");
+  assert.equal(bearer.init.headers.Authorization, "Bearer s3cret");
+
+  const query = buildRequest({ url: "https://api.test/v1?q=1", auth: { type: "apiKey", name: "appid", value: "${KEY}", in: "query" } }, env);
+  assert.equal(query.url, "https://api.test/v1?q=1&appid=k1");
+  assert.equal(redactUrl(query.url), "https://api.test/v1?q=1&appid=REDACTED");
+
+  const header = buildRequest({ url: "https://api.test/", auth: { type: "apiKey", name: "X-Api-Key", value: "${KEY}" } }, env);
+  assert.equal(header.init.headers["X-Api-Key"], "k1");
+
+  const basic = buildRequest({ url: "https://api.test/", auth: { type: "basic", username: "u", password: "${TOKEN}" } }, env);
+  assert.equal(basic.init.headers.Authorization, "Basic " + Buffer.from("u:s3cret").toString("base64"));
+
+  // an optional credential that expands empty leaves auth off
+  const anon = buildRequest({ url: "https://api.test/", auth: { type: "bearer", token: "${GH:-}" } }, env);
+  assert.equal(anon.init.headers.Authorization, undefined);
+
+  assert.throws(() => buildRequest({ url: "https://api.test/${NOPE}" }, env), /missing env: NOPE/);
+});
+
+test("json_api posts JSON bodies and picks fields", async () => {
+  const data = await jsonApi.run({
+    url: `${base}/search`,
+    method: "post",
+    body: { query: "widget", limit: 1 },
+    auth: { type: "bearer", token: "t0k" },
+    fields: { price: "$.data[0].price", sku: "/data/0/sku", total: "$.meta.total" }
+  });
+  assert.deepEqual(data, { price: 19.99, sku: "a/b", total: 1 });
+  const req = seen.at(-1);
+  assert.equal(req.method, "POST");
+  assert.equal(req.headers.authorization, "Bearer t0k");
+  assert.equal(req.headers["content-type"], "application/json");
+  assert.deepEqual(JSON.parse(req.body), { query: "widget", limit: 1 });
+  assert.equal(jsonApi.series(data, { seriesKey: "total" }), 1);
+  assert.equal(jsonApi.series(data, { fields: { sku: "", price: "" } }), 19.99);
+});
+
+test("json_api errors name the endpoint, not the secrets", async () => {
+  process.env.JSON_API_TEST_KEY = "hunter2";
+  try {
+    await assert.rejects(jsonApi.run({ url: `${base}/missing?apikey=\${JSON_API_TEST_KEY}`, fields: { x: "$.x" } }),
+      (e) => /failed after 1 attempt: .*HTTP 404/.test(e.message) && !e.message.includes("hunter2"));
+  } finally {
+    delete process.env.JSON_API_TEST_KEY;
+  }
+  await assert.rejects(jsonApi.run({ url: `${base}/html`, fields: { x: "$.x" } }), /is not JSON/);
+  // the first attempt times out; the retry gets a timeout of its own
+  const ok = await jsonApi.run({ url: `${base}/slow-once`, timeoutMs: 150, fields: { total: "$.meta.total" } });
+  assert.equal(ok.total, 1);
+  await assert.rejects(jsonApi.run({ url: `${base}/ok`, fields: { x: "$.nope" } }), /response keys: data, meta/);
+});
+
+test("json_api config is validated", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "j", type: "json_api", url: "https://api.test/", fields: { v: "$.v" }, ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({ method: "post", body: { a: 1 }, auth: { type: "bearer", token: "${T}" }, seriesKey: "v" }), []);
+  assert.deepEqual(check({ auth: { type: "apiKey", name: "k" } }), ["auth: apiKey auth needs name and value"]);
+  assert.deepEqual(check({ seriesKey: "w" }), ['seriesKey: "w" is not one of the fields']);
+  assert.equal(check({ fields: { v: "$.[bad" } }).length, 1);
+  assert.equal(check({ method: "FETCH" }).length, 1);
+});
@@ -0,0 +1,102 @@
+// test/merge.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import os from "os";
+import path from "path";
+import { mergeResults, mergePoints } from "../src/lib/merge.js";
+import { readJson, writeJson } from "../src/lib/fsutil.js";
+import { readPoints } from "../src/lib/timeseries.js";
+
+const jsonl = (points) => points.map(p => JSON.stringify(p)).join("\n") + "\n";
+async function put(dir, file, body) {
+  await fsp.mkdir(path.dirname(path.join(dir, file)), { recursive: true });
+  if (typeof body === "string") await fsp.writeFile(path.join(dir, file), body);
+  else await writeJson(path.join(dir, file), body);
+}
+
+/** The published copy plus two group jobs that each started from it */
+async function sampleDirs() {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "merge-"));
+  const pub = path.join(root, "data");
+  const old = { name: "pikachu", checkedAt: "2025-03-01T00:00:00Z", data: { price: 10 } };
+  const oldH1 = { name: "example_h1", checkedAt: "2025-03-01T00:00:00Z", data: { text: "Hi" } };
+  const oldSeries = [{ t: "2025-03-01T00:00:00Z", v: 10 }];
+  for (const dir of [pub, path.join(root, "artifacts/price/data"), path.join(root, "artifacts/default")]) {
+    await put(dir, "latest/pikachu.json", old);
+    await put(dir, "latest/example_h1.json", oldH1);
+    await put(dir, "timeseries/pikachu/series.jsonl", jsonl(oldSeries));
+    await put(dir, "state/pikachu/baseline.json", { v: "old" });
+  }
+
+  // price job (artifact with a data/ folder): new pikachu record, point, state and history
+  const price = path.join(root, "artifacts/price/data");
+  await put(price, "latest/pikachu.json", { ...old, checkedAt: "2025-03-02T00:00:00Z", data: { price: 12 } });
+  await put(price, "timeseries/pikachu/series.jsonl", jsonl([...oldSeries, { t: "2025-03-02T00:00:00Z", v: 12 }]));
+  await put(price, "timeseries/pikachu/series.hourly.jsonl", jsonl([{ t: "2025-03-02T00:00:00.000Z", n: 2, v: 11 }]));
+  await put(price, "state/pikachu/baseline.json", { v: "new" });
+  await put(price, "history/pikachu/2025-03-02T00-00-00Z.json", { data: { price: 12 } });
+  await put(price, "outbox/pending/a.json", { id: "a", attempts: 1 });
+  await put(price, "quota/alphavantage.json", { day: "2025-03-02", dayCalls: 3 });
+  await put(price, "runs/run-price.json", { id: "run-price", startedAt: "2025-03-02T00:00:00Z", checks: [] });
+  await put(price, "runs/index.json", { runs: [] });
+  await put(price, "report-price.json", { generatedAt: "2025-03-02T00:00:05Z", group: "price", summary: [{ name: "pikachu", changed: true, changedKeys: ["price"], diff: [], alerts: [], error: null }] });
+
+  // default job: new example_h1 record; its pikachu files are the stale seed
+  const dflt = path.join(root, "artifacts/default");
+  await put(dflt, "latest/example_h1.json", { ...oldH1, checkedAt: "2025-03-02T00:01:00Z", data: { text: "Hello" } });
+  await put(dflt, "timeseries/pikachu/series.hourly.jsonl", jsonl([{ t: "2025-03-02T00:00:00.000Z", n: 1, v: 12 }]));
+  await put(dflt, "outbox/delivered/a.json", { id: "a", deliveredAt: new Date().toISOString() });
+  await put(dflt, "quota/alphavantage.json", { day: "2025-03-02", dayCalls: 5 });
+  await put(dflt, "runs/run-default.json", { id: "run-default", startedAt: "2025-03-02T00:01:00Z", checks: [] });
+  await put(dflt, "report-default.json", { generatedAt: "2025-03-02T00:01:05Z", group: "default", summary: [{ name: "example_h1", changed: true, changedKeys: ["text"], diff: [], alerts: [], error: null }] });
+  return { root, pub, sources: [path.join(root, "artifacts/price"), dflt] };
+}
+
+test("mergeResults keeps every group's fresh results whatever the order", async () => {
+  for (const reverse of [false, true]) {
+    const { root, pub, sources } = await sampleDirs();
+    const counts = await mergeResults(pub, reverse ? [...sources].reverse() : sources);
+
+    assert.equal((await readJson(path.join(pub, "latest/pikachu.json"))).data.price, 12);
+    assert.equal((await readJson(path.join(pub, "latest/example_h1.json"))).data.text, "Hello");
+    assert.deepEqual((await readPoints(path.join(pub, "timeseries/pikachu/series.jsonl"))).map(p => p.v), [10, 12]);
+    assert.equal((await readPoints(path.join(pub, "timeseries/pikachu/series.hourly.jsonl")))[0].n, 2);
+    assert.equal((await readJson(path.join(pub, "state/pikachu/baseline.json"))).v, "new");
+    assert.ok(await readJson(path.join(pub, "history/pikachu/2025-03-02T00-00-00Z.json")));
+    assert.deepEqual(await fsp.readdir(path.join(pub, "outbox/pending")), []);
+    assert.equal((await readJson(path.join(pub, "quota/alphavantage.json"))).dayCalls, 5);
+
+    const all = await readJson(path.join(pub, "report.json"));
+    assert.deepEqual(all.summary.map(s => [s.group, s.name]), [["default", "example_h1"], ["price", "pikachu"]]);
+    assert.deepEqual(all.groups, ["default", "price"]);
+    const runs = await readJson(path.join(pub, "runs/index.json"));
+    assert.deepEqual(runs.runs.map(r => r.id), ["run-default", "run-price"]);
+    assert.equal(counts.checks, 2);
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+});
+
+test("series compacted by the job that ran the check stay compacted; history is kept", async () => {
+  const { root, pub, sources } = await sampleDirs();
+  // the price job's retention dropped the old raw point; the published and default copies still have it
+  const price = path.join(sources[0], "data");
+  await put(pub, "history/pikachu/2025-03-01T00-00-00Z.json", { data: { price: 10 } });
+  await put(price, "timeseries/pikachu/series.jsonl", jsonl([{ t: "2025-03-02T00:00:00Z", v: 12 }]));
+  await put(price, "timeseries/pikachu/series.daily.jsonl", jsonl([{ t: "2025-03-01T00:00:00.000Z", n: 1, v: 10 }]));
+
+  await mergeResults(pub, sources);
+  assert.deepEqual((await readPoints(path.join(pub, "timeseries/pikachu/series.jsonl"))).map(p => p.v), [12]);
+  assert.equal((await readPoints(path.join(pub, "timeseries/pikachu/series.daily.jsonl"))).length, 1);
+  // jobs aren't seeded with history, so the published records stay next to the new one
+  assert.deepEqual((await fsp.readdir(path.join(pub, "history/pikachu"))).sort(), ["2025-03-01T00-00-00Z.json", "2025-03-02T00-00-00Z.json"]);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("mergePoints unions by timestamp", () => {
+  const a = [{ t: "1", v: 1 }, { t: "2", v: 2 }];
+  const b = [{ t: "2", v: 20 }, { t: "3", v: 3 }];
+  assert.deepEqual(mergePoints([a, b]).map(p => p.v), [1, 20, 3]);
+  assert.deepEqual(mergePoints([a, b], { since: "2" }).map(p => p.v), [20, 3]);
+  assert.deepEqual(mergePoints([[{ t: "1", n: 3, v: 1 }], [{ t: "1", n: 1, v: 9 }]], { rollup: true }), [{ t: "1", n: 3, v: 1 }]);
+});
@@ -0,0 +1,65 @@
+// test/money.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePrice, parseAmount, detectCurrency } from "../src/lib/money.js";
+import { itemId } from "../src/types/price.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+test("parsePrice reads US, European, Swiss and Asian formats", () => {
+  const cases = {
+    "£63.00": [63, "GBP"],
+    "$1,299.99": [1299.99, "USD"],
+    "1.299,00 €": [1299, "EUR"],
+    "12,50 €": [12.5, "EUR"],
+    "1 299,00 kr": [1299, null],
+    "CHF 1'299.50": [1299.5, "CHF"],
+    "¥12,000": [12000, "JPY"],
+    "₩12.000": [12000, "KRW"],
+    "EUR 12.345,6": [12345.6, "EUR"],
+    "R$ 49,90": [49.9, "BRL"],
+    "CA$19.99": [19.99, "CAD"],
+    "sold out": [null, null]
+  };
+  for (const [txt, [amount, currency]] of Object.entries(cases)) {
+    assert.deepEqual(parsePrice(txt), { amount, currency }, txt);
+  }
+});
+
+test("locale pins the decimal mark; currency overrides detection", () => {
+  assert.equal(parseAmount("1.299", { locale: "en-US" }), 1.299);
+  assert.equal(parseAmount("1.299", { locale: "de-DE" }), 1299);
+  assert.deepEqual(parsePrice("1 299,95 kr", { currency: "SEK" }), { amount: 1299.95, currency: "SEK" });
+  assert.equal(parseAmount("2 for 10"), 2);
+});
+
+test("detectCurrency prefers ISO codes, then the most specific symbol", () => {
+  assert.equal(detectCurrency("US$ 5"), "USD");
+  assert.equal(detectCurrency("CN¥ 88"), "CNY");
+  assert.equal(detectCurrency("price: 5 GBP ($6)"), "GBP");
+  assert.equal(detectCurrency("ABC 5"), null);
+});
+
+test("item ids are path-safe", () => {
+  assert.equal(itemId("Pikachu Ex (2023)"), "pikachu-ex-2023");
+  assert.equal(itemId("Flabébé"), "flabebe");
+  assert.equal(itemId(""), "item");
+});
+
+test("price itemSeries keeps numeric item prices only", () => {
+  const def = getCheckType("price");
+  const data = { items: { a: { price: 3 }, b: { price: null, error: "x" } }, count: 2 };
+  assert.deepEqual(def.itemSeries(data), { a: 3 });
+  assert.equal(def.series(data), null);
+});
+
+test("price needs a url or a products list, not both modes at once", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "p", type: "price", selector: ".p", ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({}), ["url: is required (or give a products list)"]);
+  assert.deepEqual(check({ products: ["https://x.test/a", { id: "b", url: "https://x.test/b" }] }), []);
+  assert.deepEqual(check({ url: "https://x.test/", itemSelector: "li", products: ["https://x.test/a"] }),
+    ["itemSelector: can't be combined with products"]);
+  assert.deepEqual(check({ url: "https://x.test/", currency: "eur" }), ["currency: does not match /^[A-Z]{3}$/"]);
+});
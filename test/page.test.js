@@ -0,0 +1,89 @@
+// test/page.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import page, { listKey, templateUrls } from "../src/types/page.js";
+import { closeBrowser } from "../src/lib/browser.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+// browser tests need Chromium (npx playwright install chromium); skip where it's missing
+const NO_BROWSER = /browserType\.launch/;
+
+// three pages of two products; product 2 is "featured" on every page
+const PRODUCTS = [[1, 2], [3, 2], [4, 5]];
+function listPage(n) {
+  const items = PRODUCTS[n - 1] || [];
+  return `<!doctype html><h1>Shop</h1><ul>${items.map(id =>
+    `<li class="product"><a href="/p/${id}">Product ${id}</a><span class="price">£${id}0.00</span></li>`).join("")}</ul>
+    ${n < PRODUCTS.length ? `<a class="next" href="/page/${n + 1}">Next</a>` : ""}`;
+}
+
+let server, base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    const n = Number(req.url.match(/^\/page\/(\d+)/)?.[1] || 1);
+    res.writeHead(200, { "content-type": "text/html" });
+    res.end(listPage(n));
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+after(async () => {
+  await closeBrowser();
+  server.close();
+});
+
+const list = {
+  item: "li.product",
+  fields: { name: { selector: "a" }, url: { selector: "a", attr: "href" }, price: { selector: ".price" } }
+};
+
+test("list key and template urls", () => {
+  assert.equal(listKey(list), "url");
+  assert.equal(listKey({ fields: { sku: {}, name: {} } }), "sku");
+  assert.equal(listKey({ ...list, key: "name" }), "name");
+  assert.deepEqual(templateUrls({ urlTemplate: "https://x.test/?p={page}", start: 0, maxPages: 3 }),
+    ["https://x.test/?p=0", "https://x.test/?p=1", "https://x.test/?p=2"]);
+  assert.deepEqual(page.arrayKeys({ list }), { items: "url" });
+});
+
+test("list and pagination config rules", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "p", type: "page", url: "https://x.test/", ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({ list, pagination: { next: "a.next", maxPages: 3 } }), []);
+  assert.deepEqual(check({}), ["fields: is required (or give a list)"]);
+  assert.deepEqual(check({ list: { ...list, key: "sku" } }), ["list.key: must be one of the list fields (name, url, price)"]);
+  assert.deepEqual(check({ list, pagination: { next: "a.next", urlTemplate: "/page/{page}" } }), ["pagination: give either next or urlTemplate"]);
+  assert.deepEqual(check({ fields: { h: { selector: "h1" } }, pagination: { next: "a" } }), ["pagination: needs a list"]);
+});
+
+async function run(t, check) {
+  try {
+    return await page.run({ name: "shop", type: "page", ...check }, {});
+  } catch (e) {
+    if (NO_BROWSER.test(String(e))) return t.skip("chromium not installed");
+    throw e;
+  }
+}
+
+test("list extraction follows next links and drops repeats", async (t) => {
+  const data = await run(t, { url: `${base}/`, fields: { title: { selector: "h1" } }, list, pagination: { next: "a.next" } });
+  if (!data) return;
+  assert.equal(data.title, "Shop");
+  assert.deepEqual(data.items.map(i => i.url), [1, 2, 3, 4, 5].map(id => `${base}/p/${id}`));
+  assert.deepEqual(data.items[0], { name: "Product 1", url: `${base}/p/1`, price: "£10.00" });
+  assert.equal(data.count, 5);
+  assert.equal(data.pages, 3);
+});
+
+test("url template pagination stops at maxPages or an empty page", async (t) => {
+  const two = await run(t, { url: `${base}/`, list, pagination: { urlTemplate: `${base}/page/{page}`, maxPages: 2 } });
+  if (!two) return;
+  assert.equal(two.pages, 2);
+  assert.equal(two.count, 3);
+  const all = await run(t, { url: `${base}/`, list, pagination: { urlTemplate: `${base}/page/{page}`, maxPages: 10 } });
+  assert.equal(all.pages, 4);
+  assert.equal(all.count, 5);
+});
@@ -0,0 +1,141 @@
+// test/providers.test.js
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import os from "os";
+import path from "path";
+import { getProvider, fetchQuotes, limitsFor } from "../src/providers/index.js";
+import { takeCall, blockProvider, resetBudgets } from "../src/providers/budget.js";
+import { setStubQuotes } from "../src/providers/stub.js";
+import { throttleNotice } from "../src/providers/alphavantage.js";
+import { parseStooqCsv, stooqSymbol } from "../src/providers/stooq.js";
+import { RateLimitError, SkipError } from "../src/lib/errors.js";
+import stockQuote from "../src/types/stock_quote.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+let tmp;
+before(async () => {
+  tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "quota-"));
+  process.env.QUOTA_DIR = tmp;
+});
+after(async () => {
+  delete process.env.QUOTA_DIR;
+  delete process.env.STUB_PER_MINUTE;
+  setStubQuotes(null);
+  await fsp.rm(tmp, { recursive: true, force: true });
+});
+beforeEach(async () => {
+  resetBudgets();
+  await fsp.rm(path.join(tmp, "stub.json"), { force: true });
+});
+
+test("budgets count calls per UTC minute and day, and persist them", async () => {
+  const limits = { perDay: 3, perMinute: 2 };
+  const t = (iso) => ({ now: new Date(iso) });
+  assert.equal(await takeCall("stub", limits, t("2026-10-19T10:00:05Z")), null);
+  assert.equal(await takeCall("stub", limits, t("2026-10-19T10:00:30Z")), null);
+  assert.equal(await takeCall("stub", limits, t("2026-10-19T10:00:50Z")), "per-minute budget of 2 calls used");
+  assert.equal(await takeCall("stub", limits, t("2026-10-19T10:01:00Z")), null);
+  assert.equal(await takeCall("stub", limits, t("2026-10-19T11:00:00Z")), "daily budget of 3 calls used");
+  assert.equal(await takeCall("stub", limits, t("2026-10-20T00:00:00Z")), null);
+
+  const saved = JSON.parse(await fsp.readFile(path.join(tmp, "stub.json"), "utf8"));
+  assert.equal(saved.day, "2026-10-20");
+  assert.equal(saved.dayCalls, 1);
+
+  await blockProvider("stub", new Date("2026-10-20T00:05:00Z"));
+  assert.match(await takeCall("stub", {}, t("2026-10-20T00:01:00Z")), /throttled until/);
+  assert.equal(await takeCall("stub", {}, t("2026-10-20T00:06:00Z")), null);
+});
+
+test("dry runs count in memory but write nothing", async () => {
+  assert.equal(await takeCall("stub", { perDay: 1 }, { persist: false }), null);
+  assert.match(await takeCall("stub", { perDay: 1 }, { persist: false }), /daily budget/);
+  await assert.rejects(fsp.access(path.join(tmp, "stub.json")));
+});
+
+test("limits can be overridden from the environment", () => {
+  const av = getProvider("alphavantage");
+  assert.deepEqual(limitsFor(av, {}), { perDay: 25, perMinute: 5 });
+  assert.deepEqual(limitsFor(av, { ALPHAVANTAGE_PER_DAY: "500", ALPHAVANTAGE_PER_MINUTE: "0" }), { perDay: 500, perMinute: 0 });
+});
+
+test("symbols are batched and the rest skipped once the budget runs out", async () => {
+  const calls = [];
+  const fake = { name: "stub", batchSize: 2, limits: { perMinute: 2 }, quote: async (syms) => {
+    calls.push(syms);
+    return Object.fromEntries(syms.map(s => [s, { price: 1 }]));
+  } };
+  const r = await fetchQuotes(fake, ["A", "B", "C", "D", "E"]);
+  assert.deepEqual(calls, [["A", "B"], ["C", "D"]]);
+  assert.deepEqual(Object.keys(r.quotes), ["A", "B", "C", "D"]);
+  assert.deepEqual(r.skipped, ["E"]);
+  assert.equal(r.reason, "per-minute budget of 2 calls used");
+});
+
+test("an unconfigured provider fails without using its budget", async () => {
+  const fake = { name: "stub", batchSize: 1, limits: { perDay: 5 }, missingConfig: () => "STUB_KEY not set", quote: async () => ({}) };
+  await assert.rejects(fetchQuotes(fake, ["A"]), /STUB_KEY not set/);
+  await assert.rejects(fsp.access(path.join(tmp, "stub.json")));
+});
+
+test("stock_quote skips (not fails) when rate limited and keeps previous symbols", async () => {
+  setStubQuotes({ NTDOY: { price: 12.5, change: 0.1, changePercent: 0.8 } });
+  const single = await stockQuote.run({ provider: "stub", symbol: "NTDOY" });
+  assert.equal(single.price, 12.5);
+  assert.equal(single.source, "stub");
+  assert.equal(stockQuote.series(single), 12.5);
+
+  setStubQuotes({}, { throttle: true });
+  await assert.rejects(stockQuote.run({ provider: "stub", symbol: "NTDOY" }),
+    (e) => e instanceof RateLimitError && e instanceof SkipError && e.message === "rate limited – skipped (stub: throttled)");
+
+  resetBudgets();
+  await fsp.rm(path.join(tmp, "stub.json"), { force: true });
+  process.env.STUB_PER_MINUTE = "1";
+  setStubQuotes({ SONY: 20 });
+  try {
+    const prev = { data: { quotes: { TTWO: { price: 200, change: null, changePercent: null } } } };
+    // batch size 50 puts both symbols in one call; force two calls with a one-symbol provider view
+    const stub = getProvider("stub");
+    const saved = stub.batchSize;
+    stub.batchSize = 1;
+    try {
+      const data = await stockQuote.run({ provider: "stub", symbols: ["SONY", "TTWO"] }, { prev, persist: true });
+      assert.deepEqual(data.quotes, { SONY: { price: 20, change: null, changePercent: null }, TTWO: prev.data.quotes.TTWO });
+      assert.deepEqual(data.skipped, ["TTWO"]);
+      assert.deepEqual(stockQuote.itemSeries(data), { sony: 20, ttwo: 200 });
+    } finally {
+      stub.batchSize = saved;
+    }
+  } finally {
+    delete process.env.STUB_PER_MINUTE;
+  }
+});
+
+test("provider parsers: Alpha Vantage throttle notes and Stooq CSV", () => {
+  const now = new Date("2026-10-19T10:00:00Z");
+  const daily = throttleNotice({ Information: "We have detected your API key as ABC and our standard API rate limit is 25 requests per day." }, now);
+  assert.equal(daily.until.toISOString(), "2026-10-20T00:00:00.000Z");
+  const minute = throttleNotice({ Note: "Thank you for using Alpha Vantage! Our standard API call frequency is 5 calls per minute." }, now);
+  assert.equal(minute.until.toISOString(), "2026-10-19T10:01:00.000Z");
+  assert.equal(throttleNotice({ "Global Quote": { "05. price": "1" } }), null);
+
+  assert.equal(stooqSymbol("NTDOY"), "ntdoy.us");
+  assert.equal(stooqSymbol("7974.JP"), "7974.jp");
+  const rows = parseStooqCsv("Symbol,Date,Time,Open,High,Low,Close,Volume\r\nNTDOY.US,2026-10-16,22:00:09,20.41,20.62,20.33,20.58,1304512\r\nXX.US,N/D,N/D,N/D,N/D,N/D,N/D,N/D\r\n");
+  assert.equal(rows["NTDOY.US"].close, "20.58");
+  assert.equal(rows["XX.US"].close, "N/D");
+});
+
+test("stock_quote config needs symbol or symbols and a known provider", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "s", type: "stock_quote", ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({ symbol: "NTDOY" }), []);
+  assert.deepEqual(check({ symbols: ["A", "B"], provider: "stooq" }), []);
+  assert.deepEqual(check({}), ["symbol: is required (or give a symbols list)"]);
+  assert.deepEqual(check({ symbol: "A", symbols: ["B"] }), ["symbols: can't be combined with symbol"]);
+  assert.equal(check({ symbol: "A", provider: "yahoo" }).length, 1);
+});
@@ -0,0 +1,67 @@
+// test/runs.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import os from "os";
+import path from "path";
+import { runIdOf, buildManifest, writeRunManifest, rebuildRunIndex } from "../src/lib/runs.js";
+import { writeCombinedReport } from "../src/lib/report.js";
+import { readJson, writeJson } from "../src/lib/fsutil.js";
+
+const tmpDir = () => fsp.mkdtemp(path.join(os.tmpdir(), "runs-"));
+const summary = [
+  { name: "a", type: "page", group: "default", changed: true, changedKeys: ["h1"], durationMs: 1200, error: null },
+  { name: "b", type: "price", group: "price", changed: false, changedKeys: [], durationMs: 800, error: "Error: HTTP 503\nstack" },
+  { name: "c", type: "price", group: "price", changed: false, changedKeys: [], skipped: "not due", error: null }
+];
+
+test("buildManifest counts outcomes and keeps per-check durations", () => {
+  const id = runIdOf("2025-03-01T10:00:00.000Z", "all");
+  assert.equal(id, "2025-03-01T10-00-00-000Z-all");
+  const m = buildManifest({ id, group: "all", startedAt: "2025-03-01T10:00:00.000Z", finishedAt: "2025-03-01T10:00:05.000Z", summary, gitSha: "abc123" });
+  assert.equal(m.durationMs, 5000);
+  assert.deepEqual(m.groups, ["default", "price"]);
+  assert.deepEqual(m.counts, { checks: 3, changed: 1, errors: 1, skipped: 1 });
+  assert.deepEqual(m.checks.map(c => [c.name, c.status, c.durationMs]), [["a", "changed", 1200], ["b", "error", 800], ["c", "skipped", null]]);
+  assert.equal(m.checks[1].error, "Error: HTTP 503");
+});
+
+test("the run index lists the newest runs first and drops the oldest", async () => {
+  const dir = await tmpDir();
+  for (const h of ["10", "12", "11"]) {
+    const startedAt = `2025-03-01T${h}:00:00.000Z`;
+    await writeRunManifest(dir, buildManifest({ id: runIdOf(startedAt, "all"), group: "all", startedAt, finishedAt: startedAt, summary }));
+  }
+  const { runs } = await readJson(path.join(dir, "runs", "index.json"));
+  assert.deepEqual(runs.map(r => r.startedAt.slice(11, 13)), ["12", "11", "10"]);
+  assert.equal(runs[0].checks, undefined);
+
+  await rebuildRunIndex(path.join(dir, "runs"), { keep: 2 });
+  assert.deepEqual((await fsp.readdir(path.join(dir, "runs"))).sort(), ["2025-03-01T11-00-00-000Z-all.json", "2025-03-01T12-00-00-000Z-all.json", "index.json"]);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("the consolidated report takes each check's newest entry across group reports", async () => {
+  const dir = await tmpDir();
+  for (const name of ["a", "b"]) await writeJson(path.join(dir, "latest", `${name}.json`), { name });
+  await writeJson(path.join(dir, "report-all.json"), { generatedAt: "2025-03-01T09:00:00Z", group: "all", summary: [
+    { name: "a", changed: false, changedKeys: [], error: null },
+    { name: "gone", changed: true, changedKeys: ["x"], error: null }
+  ] });
+  await writeJson(path.join(dir, "report-price.json"), { generatedAt: "2025-03-01T10:00:00Z", group: "price", run: "r1", summary: [
+    { name: "b", changed: true, changedKeys: ["price"], error: null }
+  ] });
+  await writeJson(path.join(dir, "report-default.json"), { generatedAt: "2025-03-01T11:00:00Z", group: "default", summary: [
+    { name: "a", group: "default", changed: true, changedKeys: ["h1"], diff: [{ path: "h1", op: "changed", before: "x", after: "y" }], error: null }
+  ] });
+
+  const report = await writeCombinedReport(dir);
+  assert.deepEqual(report.summary.map(s => [s.group, s.name, s.changed]), [["default", "a", true], ["price", "b", true]]);
+  assert.deepEqual(report.groups, ["default", "price"]);
+  assert.deepEqual(report.counts, { checks: 2, changed: 2, errors: 0, skipped: 0 });
+  assert.deepEqual(report.reports.find(r => r.group === "price"), { group: "price", generatedAt: "2025-03-01T10:00:00Z", run: "r1" });
+  const md = await fsp.readFile(path.join(dir, "report.md"), "utf8");
+  assert.match(md, /## default[\s\S]*#### `a`[\s\S]*## price/);
+  assert.ok(await fsp.readFile(path.join(dir, "reports", "report.html"), "utf8"));
+  await fsp.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,60 @@
+// test/schedule.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSchedule, prevFire, nextFire, isDue, nextRunAt, scheduleProblems } from "../src/lib/schedule.js";
+
+const at = (s) => new Date(s);
+
+test("intervals accept 'every' and s/m/h/d units", () => {
+  assert.deepEqual(parseSchedule("every 16m"), { kind: "interval", ms: 16 * 60_000 });
+  assert.deepEqual(parseSchedule("2h"), { kind: "interval", ms: 2 * 3_600_000 });
+  assert.throws(() => parseSchedule("every 0m"), /greater than zero/);
+});
+
+test("cron fields: steps, ranges, lists, names and 7 = Sunday", () => {
+  const c = parseSchedule("8/16 9-17 * jan,JUL mon-fri,7");
+  assert.deepEqual([...c.minute], [8, 24, 40, 56]);
+  assert.deepEqual([...c.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+  assert.deepEqual([...c.month], [1, 7]);
+  assert.deepEqual([...c.dow], [1, 2, 3, 4, 5, 0]);
+  assert.throws(() => parseSchedule("61 * * * *"), /minute 61 out of range/);
+  assert.throws(() => parseSchedule("* * *"), /5-field cron/);
+});
+
+test("prevFire / nextFire walk to the surrounding fire times (UTC)", () => {
+  const c = parseSchedule("0 */2 * * *");
+  assert.equal(prevFire(c, at("2025-03-01T03:59:59Z")).toISOString(), "2025-03-01T02:00:00.000Z");
+  assert.equal(prevFire(c, at("2025-03-01T00:00:00Z")).toISOString(), "2025-03-01T00:00:00.000Z");
+  assert.equal(nextFire(c, at("2025-03-01T00:00:00Z")).toISOString(), "2025-03-01T02:00:00.000Z");
+  const feb29 = parseSchedule("30 12 29 2 *");
+  assert.equal(nextFire(feb29, at("2025-03-01T00:00:00Z")).toISOString(), "2028-02-29T12:30:00.000Z");
+  assert.equal(prevFire(feb29, at("2025-03-01T00:00:00Z")).toISOString(), "2024-02-29T12:30:00.000Z");
+});
+
+test("restricting both day fields means either may match", () => {
+  // the 13th, or any Friday
+  const c = parseSchedule("0 0 13 * 5");
+  assert.equal(nextFire(c, at("2025-06-01T00:00:00Z")).toISOString(), "2025-06-06T00:00:00.000Z");
+  assert.equal(nextFire(c, at("2025-06-11T00:00:00Z")).toISOString(), "2025-06-13T00:00:00.000Z");
+});
+
+test("isDue: cron runs once per fire time even when the tick is late", () => {
+  const s = "0 */2 * * *";
+  assert.equal(isDue(s, null, at("2025-03-01T02:07:00Z")), true);
+  assert.equal(isDue(s, "2025-03-01T00:03:00Z", at("2025-03-01T02:07:00Z")), true);
+  assert.equal(isDue(s, "2025-03-01T02:07:10Z", at("2025-03-01T02:16:00Z")), false);
+  assert.equal(isDue(undefined, "2025-03-01T02:07:10Z", at("2025-03-01T02:16:00Z")), true);
+});
+
+test("isDue: intervals tolerate a slightly early tick", () => {
+  assert.equal(isDue("every 16m", "2025-03-01T00:00:20Z", at("2025-03-01T00:16:00Z")), true);
+  assert.equal(isDue("every 16m", "2025-03-01T00:00:00Z", at("2025-03-01T00:10:00Z")), false);
+  assert.equal(nextRunAt("1h", "2025-03-01T00:00:00Z", at("2025-03-01T00:10:00Z")).toISOString(), "2025-03-01T00:59:00.000Z");
+  assert.equal(nextRunAt("0 * * * *", "2025-03-01T00:00:30Z", at("2025-03-01T00:10:00Z")).toISOString(), "2025-03-01T01:00:00.000Z");
+});
+
+test("scheduleProblems flags bad and never-firing expressions", () => {
+  assert.deepEqual(scheduleProblems("*/16 * * * *"), []);
+  assert.match(scheduleProblems("every fortnight")[0].message, /5-field cron/);
+  assert.deepEqual(scheduleProblems("0 0 30 2 *"), [{ message: "cron expression never fires" }]);
+});
@@ -0,0 +1,128 @@
+// test/sitemap.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { promises as fsp } from "fs";
+import os from "os";
+import path from "path";
+import { extractLocsFromXml, fetchSitemapUrls, packEntries, unpackEntries } from "../src/types/sitemap.js";
+import sitemapDiff, { diffEntries } from "../src/types/sitemap_diff.js";
+import { checkState } from "../src/lib/state.js";
+
+const urlset = (...locs) => `<urlset>${locs.map(l => `<url><loc>${l}</loc></url>`).join("")}</urlset>`;
+const index = (...locs) => `<sitemapindex>${locs.map(l => `<sitemap><loc>${l}</loc></sitemap>`).join("")}</sitemapindex>`;
+
+// /root -> /a (index) -> /a1, /a2 ; /root -> /b (urlset) ; /deep -> /d1 -> /d2 -> /d3
+const SITE = {
+  "/root.xml": index("/a.xml", "/b.xml"),
+  "/a.xml": index("/a1.xml", "/a2.xml"),
+  "/a1.xml": urlset("/p/1", "/p/2"),
+  "/a2.xml": urlset("/p/3", "/p/1"),
+  "/b.xml": `<urlset><url><loc>/p/4</loc><lastmod>2026-10-01</lastmod></url></urlset>`,
+  "/deep.xml": index("/d1.xml"),
+  "/d1.xml": index("/d2.xml"),
+  "/d2.xml": index("/d3.xml"),
+  "/d3.xml": urlset("/p/deep")
+};
+
+let server;
+let base;
+let tmp;
+before(async () => {
+  server = http.createServer((req, res) => {
+    const body = SITE[req.url];
+    res.writeHead(body ? 200 : 404, { "content-type": "application/xml" });
+    res.end(body || "");
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}`;
+  tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "state-"));
+});
+after(async () => {
+  await new Promise((r) => server.close(r));
+  await fsp.rm(tmp, { recursive: true, force: true });
+});
+
+test("extractLocsFromXml reads lastmod, changefreq and news titles", () => {
+  const { isIndex, entries } = extractLocsFromXml(`<urlset xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">
+    <url><loc>https://a.test/x?a=1&amp;b=2</loc><lastmod>2026-10-18T09:00:00Z</lastmod><changefreq>Daily</changefreq></url>
+    <url><loc>https://a.test/news</loc><news:news><news:publication_date>2026-10-19</news:publication_date>
+      <news:title><![CDATA[Direct & more]]></news:title></news:news></url>
+  </urlset>`);
+  assert.equal(isIndex, false);
+  assert.deepEqual(entries, [
+    { loc: "https://a.test/x?a=1&b=2", lastmod: "2026-10-18T09:00:00Z", changefreq: "daily" },
+    { loc: "https://a.test/news", lastmod: "2026-10-19", title: "Direct & more" }
+  ]);
+});
+
+test("fetchSitemapUrls follows nested indexes within its limits", async () => {
+  const all = await fetchSitemapUrls(`${base}/root.xml`);
+  assert.deepEqual(all.urls, ["/p/4", "/p/1", "/p/2", "/p/3"].map(p => base + p));
+  assert.equal(all.entries[0].lastmod, "2026-10-01");
+  assert.equal(all.sitemaps, 5);
+  assert.equal(all.truncated, false);
+
+  const capped = await fetchSitemapUrls(`${base}/root.xml`, { indexLimit: 1 });
+  assert.deepEqual(capped.urls, [`${base}/p/1`, `${base}/p/2`]);
+  assert.equal(capped.truncated, true);
+
+  const shallow = await fetchSitemapUrls(`${base}/deep.xml`, { maxDepth: 2 });
+  assert.deepEqual(shallow.urls, []);
+  assert.equal(shallow.truncated, true);
+  assert.deepEqual((await fetchSitemapUrls(`${base}/deep.xml`)).urls, [`${base}/p/deep`]);
+
+  // root, a and b; a's children are over the budget
+  const few = await fetchSitemapUrls(`${base}/root.xml`, { maxSitemaps: 3 });
+  assert.deepEqual(few.urls, [`${base}/p/4`]);
+});
+
+test("diffEntries reports updated lastmods next to added and removed", () => {
+  const prev = [{ loc: "a", lastmod: "1" }, { loc: "b", lastmod: "1" }, { loc: "c" }];
+  const next = [{ loc: "a", lastmod: "2" }, { loc: "b", lastmod: "1" }, { loc: "c", lastmod: "1" }, { loc: "d" }];
+  assert.deepEqual(diffEntries(prev, next), { added: ["d"], removed: [], updated: ["a"] });
+});
+
+test("sidecar entries pack compactly and round-trip", () => {
+  const entries = [{ loc: "a" }, { loc: "b", lastmod: "1" }, { loc: "c", title: "T" }];
+  assert.deepEqual(packEntries(entries), [["a"], ["b", "1"], ["c", null, null, "T"]]);
+  assert.deepEqual(unpackEntries(packEntries(entries)), entries);
+});
+
+test("sitemap_diff compares against its sidecar, not latest JSON", async () => {
+  const state = checkState("s", { dir: tmp });
+  const check = { name: "s", url: `${base}/a.xml` };
+  // no saved URL set yet: the first run records it and reports nothing new
+  const first = await sitemapDiff.run(check, { state });
+  assert.deepEqual([first.added, first.removed, first.updated], [[], [], []]);
+  assert.equal(first.nowCount, 3);
+  assert.equal((await state.read("urls")).urls.length, 3);
+  assert.equal(first.all, undefined);
+
+  SITE["/a2.xml"] = `<urlset><url><loc>/p/3</loc><lastmod>2026-10-19</lastmod></url><url><loc>/p/5</loc></url></urlset>`;
+  const second = await sitemapDiff.run(check, { state });
+  assert.deepEqual(second.added, [`${base}/p/5`]);
+  assert.deepEqual(second.removed, []);
+  assert.deepEqual(second.updated, []); // /p/3 had no lastmod before
+
+  SITE["/a2.xml"] = `<urlset><url><loc>/p/3</loc><lastmod>2026-10-20</lastmod></url></urlset>`;
+  const third = await sitemapDiff.run(check, { state });
+  assert.deepEqual(third.updated, [`${base}/p/3`]);
+  assert.deepEqual(third.removed, [`${base}/p/5`]);
+  assert.equal(third.prevCount, 4);
+
+  // a dry run reads the published copy and writes nothing
+  const dry = checkState("s", { dir: path.join(tmp, "nothing"), fallbackDir: tmp, readOnly: true });
+  assert.equal((await dry.read("urls")).urls.length, 3);
+  await dry.write("urls", { urls: [] });
+  await assert.rejects(fsp.access(path.join(tmp, "nothing")));
+
+  // the runner's store keeps the new URL set back until the record is written
+  const held = checkState("s", { dir: tmp, deferred: true });
+  SITE["/a2.xml"] = `<urlset><url><loc>/p/6</loc></url></urlset>`;
+  assert.deepEqual((await sitemapDiff.run(check, { state: held })).added, [`${base}/p/6`]);
+  const saved = async () => (await state.read("urls")).urls.map(([loc]) => loc);
+  assert.ok(!(await saved()).includes(`${base}/p/6`));
+  await held.commit();
+  assert.ok((await saved()).includes(`${base}/p/6`));
+});
@@ -0,0 +1,88 @@
+// test/steps.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { runSteps } from "../src/lib/steps.js";
+import { closeBrowser } from "../src/lib/browser.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+// browser tests need Chromium (npx playwright install chromium); skip where it's missing
+const NO_BROWSER = /browserType\.launch/;
+
+const PAGE = `<!doctype html>
+<div id="banner"><button id="accept" onclick="this.parentNode.remove()">Accept</button></div>
+<ul id="list"><li>one</li></ul>
+<button id="more" onclick="const l=document.getElementById('list');l.insertAdjacentHTML('beforeend','<li>more</li>');if(l.children.length>=3)this.remove()">Load more</button>
+<form onsubmit="event.preventDefault();document.getElementById('out').textContent='hi '+this.q.value+' '+this.sort.value">
+  <input name="q" id="q"><select name="sort" id="sort"><option>old</option><option>new</option></select>
+</form>
+<p id="out"></p>`;
+
+let server, base, tmp;
+before(async () => {
+  tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "steps-"));
+  server = http.createServer((req, res) => {
+    res.writeHead(200, { "content-type": "text/html", "set-cookie": "sid=abc; Path=/" });
+    res.end(PAGE);
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  base = `http://127.0.0.1:${server.address().port}/`;
+});
+after(async () => {
+  await closeBrowser();
+  server.close();
+  await fsp.rm(tmp, { recursive: true, force: true });
+});
+
+test("steps are validated one action at a time", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (steps) => validateChecks([{ name: "p", type: "page", url: "https://x.test/", fields: { h: { selector: "h1" } }, steps }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check([{ click: "#accept", optional: true }, { fill: "#q", value: "${USER}" }, { wait: "networkidle" }, { wait: 500 }]), []);
+  assert.deepEqual(check([{ click: "#a", fill: "#b" }]), ["steps[0]: one action per step (got click, fill)"]);
+  assert.deepEqual(check([{ fill: "#q" }]), ["steps[0].value: is required for \"fill\""]);
+  assert.deepEqual(check([{ wait: "idle" }]), ["steps[0].wait: must be milliseconds or one of load, domcontentloaded, networkidle"]);
+  assert.deepEqual(check([{ optional: true }]), ["steps[0]: needs one of goto, click, fill, select, press, waitFor, wait, scroll, evaluate"]);
+});
+
+test("missing env secrets fail before the page is touched", async () => {
+  await assert.rejects(runSteps(null, [{ fill: "#pw", value: "${SITE_PASSWORD}" }], { env: {} }), /missing env: SITE_PASSWORD/);
+});
+
+test("page check clicks, fills and keeps its session", async (t) => {
+  process.env.SESSION_DIR = tmp;
+  process.env.STEPS_QUERY = "pikachu";
+  const check = {
+    name: "flow",
+    type: "page",
+    url: base,
+    storageState: true,
+    steps: [
+      { click: "#accept" },
+      { click: "#nope", optional: true, timeoutMs: 200 },
+      { click: "#more", repeat: 5 },
+      { fill: "#q", value: "${STEPS_QUERY}" },
+      { select: "#sort", value: "new" },
+      { press: "#q", key: "Enter" },
+      { waitFor: "#banner", state: "detached" }
+    ],
+    fields: { out: { selector: "#out" }, last: { selector: "#list li:last-child" } }
+  };
+  let data;
+  try {
+    data = await getCheckType("page").run(check, { persist: true });
+  } catch (e) {
+    if (NO_BROWSER.test(String(e))) return t.skip("chromium not installed");
+    throw e;
+  } finally {
+    delete process.env.SESSION_DIR;
+    delete process.env.STEPS_QUERY;
+  }
+  assert.deepEqual(data, { out: "hi pikachu new", last: "more" });
+  const session = JSON.parse(await fsp.readFile(path.join(tmp, "flow.json"), "utf8"));
+  assert.equal(session.cookies.find(c => c.name === "sid")?.value, "abc");
+});
@@ -0,0 +1,73 @@
+// test/structured.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJsonLd, extractMeta, extractMicrodata } from "../src/lib/structured.js";
+import { query, queryOne, parsePath } from "../src/lib/jsonpath.js";
+import { decodeEntities } from "../src/lib/html.js";
+
+const PAGE = `<html><head>
+<title>Widget &amp; Co</title>
+<meta property="og:title" content="Widget &quot;Pro&quot;">
+<meta property="og:price:amount" content="19.99">
+<meta name="description" content='Best widget'>
+<link rel="canonical" href="https://shop.test/widget">
+<script type="application/ld+json">
+  [{"@type": "Organization", "name": "Shop"}, {"@graph": [{"@type": ["Product", "Thing"], "name": "Widget", "offers": {"price": "19.99"}}]}]
+</script>
+<script type="application/ld+json">{ not json }</script>
+</head><body>
+<div itemscope itemtype="https://schema.org/Product">
+  <h1 itemprop="name">Widget <b>Pro</b></h1>
+  <img itemprop="image" src="/w.png">
+  <div itemprop="offers" itemscope itemtype="http://schema.org/Offer">
+    <meta itemprop="priceCurrency" content="EUR">
+    <span itemprop="price" content="19.99">19,99 €</span>
+    <link itemprop="availability" href="https://schema.org/InStock">
+  </div>
+  <span itemprop="color">red</span><span itemprop="color">blue</span>
+  <p>not a property</p>
+</div>
+</body></html>`;
+
+test("JSON-LD: arrays and @graph flatten; broken blocks are skipped", () => {
+  const nodes = extractJsonLd(PAGE);
+  assert.deepEqual(nodes.map(n => n.name), ["Shop", "Widget"]);
+});
+
+test("meta: og/name tags, <title> and canonical, entities decoded", () => {
+  assert.deepEqual(extractMeta(PAGE), {
+    "og:title": 'Widget "Pro"',
+    "og:price:amount": "19.99",
+    description: "Best widget",
+    title: "Widget & Co",
+    canonical: "https://shop.test/widget"
+  });
+});
+
+test("microdata: nested items, value attributes and repeated props", () => {
+  assert.deepEqual(extractMicrodata(PAGE), [{
+    "@type": "Product",
+    name: "Widget Pro",
+    image: "/w.png",
+    offers: { "@type": "Offer", priceCurrency: "EUR", price: "19.99", availability: "https://schema.org/InStock" },
+    color: ["red", "blue"]
+  }]);
+});
+
+test("JSONPath subset: keys, quoted keys, indexes, wildcards, descent, filters", () => {
+  const doc = { jsonld: extractJsonLd(PAGE), microdata: extractMicrodata(PAGE), meta: extractMeta(PAGE) };
+  assert.equal(queryOne(doc, "$.jsonld[?(@.@type=='Product')].offers.price"), "19.99");
+  assert.equal(queryOne(doc, "$.meta['og:title']"), 'Widget "Pro"');
+  assert.equal(queryOne(doc, "$.microdata[0].offers.priceCurrency"), "EUR");
+  assert.deepEqual(query(doc, "$.jsonld[*].name"), ["Shop", "Widget"]);
+  assert.deepEqual(query(doc, "$.microdata..color"), [["red", "blue"]]);
+  assert.equal(queryOne(doc, "$.jsonld[-1].name"), "Widget");
+  assert.deepEqual(query(doc, "$.jsonld[?(@.name!='Shop')].name"), ["Widget"]);
+  assert.equal(queryOne(doc, "$.nothing.here"), undefined);
+  assert.throws(() => parsePath("jsonld.name"), /must start with "\$"/);
+  assert.throws(() => parsePath("$.a[?(@.b > 1)]"), /unsupported JSONPath/);
+});
+
+test("decodeEntities handles named, decimal and hex references", () => {
+  assert.equal(decodeEntities("&pound;5 &#8211; &#x263A; &bogus;"), "£5 – ☺ &bogus;");
+});
@@ -0,0 +1,77 @@
+// test/table_row.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTables } from "../src/lib/html.js";
+import { extractTableRow, findColumn } from "../src/types/table_row.js";
+import { validateChecks } from "../src/lib/validate.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { setFixtureMode } from "../src/lib/fixtures.js";
+
+const HTML = `
+<table><tr><td>Menu</td><td>Login</td></tr></table>
+<table>
+  <tr><th>Card #</th><th>Name</th><th>PSA 9</th><th>PSA 10</th><th>Total</th></tr>
+  <tr><td>58</td><td>Pikachu-Red Cheeks</td><td>$410.00</td><td>$2,950.00</td><td>1,204</td></tr>
+  <tr><td>58</td><td>Pikachu-Yellow Cheeks</td><td>$180.00</td><td>$1,100.00</td><td>3,877</td></tr>
+  <tr><td>63</td><td>Squirtle 1st Edition</td><td>$95.00</td><td>$700.00</td><td>2,310</td></tr>
+</table>`;
+const tables = parseTables(HTML);
+
+test("findColumn prefers an exact header over a substring", () => {
+  assert.equal(findColumn(["PSA 10", "PSA 1"], "psa 1"), 1);
+  assert.equal(findColumn(["Grade  GEM-MT 10"], "gem-mt 10"), 0);
+  assert.equal(findColumn(["A"], "B"), -1);
+});
+
+test("fuzzy row match reads several columns as numbers", () => {
+  const d = extractTableRow(tables, {
+    rowMatch: "pikachu yellow",
+    labelColumn: "Name",
+    columns: { psa9: "PSA 9", psa10: "PSA 10", pop: "Total" }
+  });
+  assert.deepEqual(d, {
+    row: "Pikachu-Yellow Cheeks", psa9: 180, psa10: 1100, pop: 3877,
+    raw: { psa9: "$180.00", psa10: "$1,100.00", pop: "3,877" }
+  });
+});
+
+test("rowRegex and rowWhere narrow the row; number: false keeps text", () => {
+  const byRegex = extractTableRow(tables, { rowRegex: "red\\s+cheeks", columns: { name: { header: "Name", number: false } } });
+  assert.equal(byRegex.name, "Pikachu-Red Cheeks");
+  const byCell = extractTableRow(tables, { rowWhere: { column: "Card #", equals: 63 }, columns: { total: { index: 4 } } });
+  assert.equal(byCell.total, 2310);
+});
+
+test("missing table or row is an error naming what was looked for", () => {
+  assert.throws(() => extractTableRow(tables, { columns: { x: "PSA 11" } }), /no table with column: PSA 11/);
+  assert.throws(() => extractTableRow(tables, { rowMatch: "Charizard", columns: { x: "Total" } }), /row not found: "Charizard"/);
+});
+
+test("series uses seriesKey, else the first numeric column", () => {
+  const def = getCheckType("table_row");
+  const data = { row: "x", name: "n", psa10: 1100, pop: 3877 };
+  assert.equal(def.series(data, { columns: { name: { header: "Name", number: false }, psa10: "PSA 10", pop: "Total" } }), 1100);
+  assert.equal(def.series(data, { columns: { psa10: "PSA 10", pop: "Total" }, seriesKey: "pop" }), 3877);
+});
+
+test("column specs need a header or an index", () => {
+  const problems = validateChecks([
+    { name: "t", type: "table_row", url: "https://x.test/", columns: { a: { number: false } } }
+  ], getCheckType, listCheckTypes().map(d => d.type));
+  assert.deepEqual(problems.map(p => `${p.path}: ${p.message}`), ["columns.a: needs a header or an index"]);
+});
+
+test("legacy psa_* types keep their record shape", async () => {
+  setFixtureMode("replay");
+  const price = await getCheckType("psa_price_row").run({
+    url: "https://www.psacard.com/priceguide/non-sports-tcg-card-values/1999-poke-mon-game/2432",
+    rowMatch: "Blastoise Holo 1st Edition",
+    gradeCol: "MINT 9"
+  });
+  assert.deepEqual(price, { row: "2", grade: "MINT 9", price: 3900, raw: "$3,900.00", mode: "html" });
+  const pop = await getCheckType("psa_pop_row").run({
+    url: "https://www.psacard.com/pop/tcg-cards/1999/pokemon-game/57801",
+    rowMatch: "Charizard-Holo 1st Edition"
+  });
+  assert.deepEqual(pop, { row: "4", column: "TOTAL", population: 7896, raw: "7,896", mode: "html" });
+});
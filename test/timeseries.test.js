@@ -0,0 +1,82 @@
+// test/timeseries.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import os from "os";
+import path from "path";
+import { rollup, bucketOf, appendPoint, compactSeries, readPoints, retentionFor, seriesBases } from "../src/lib/timeseries.js";
+import { pickedMetrics } from "../src/lib/jsonpath.js";
+import stockQuote from "../src/types/stock_quote.js";
+
+const tmpDir = () => fsp.mkdtemp(path.join(os.tmpdir(), "ts-"));
+
+test("rollup buckets points with avg / min / max / last and per-metric stats", () => {
+  const points = [
+    { t: "2025-03-01T10:05:00.000Z", v: 10, m: { change: 1 } },
+    { t: "2025-03-01T10:35:00.000Z", v: 14, m: { change: 3 } },
+    { t: "2025-03-01T11:10:00.000Z", v: 12 }
+  ];
+  const hourly = rollup(points, "hourly");
+  assert.deepEqual(hourly, [
+    { t: "2025-03-01T10:00:00.000Z", n: 2, v: 12, min: 10, max: 14, last: 14, m: { change: { n: 2, v: 2, min: 1, max: 3 } } },
+    { t: "2025-03-01T11:00:00.000Z", n: 1, v: 12, min: 12, max: 12, last: 12 }
+  ]);
+  const [day] = rollup(points, "daily");
+  assert.equal(day.t, "2025-03-01T00:00:00.000Z");
+  assert.equal(day.n, 3);
+  assert.equal(day.v, 12);
+  assert.deepEqual(day.m.change, { n: 2, v: 2, min: 1, max: 3 });
+  assert.equal(bucketOf("2025-03-01T23:59:59Z", "daily"), "2025-03-01T00:00:00.000Z");
+});
+
+test("appendPoint keeps rollups current and drops raw points past retention", async () => {
+  const dir = await tmpDir();
+  const base = path.join(dir, "series");
+  const retention = { rawDays: 2, hourlyDays: 0, dailyDays: 0 };
+  for (let d = 1; d <= 6; d++) {
+    for (const h of ["09", "15"]) {
+      await appendPoint(base, { t: `2025-03-0${d}T${h}:00:00.000Z`, v: d, m: { change: h === "09" ? -1 : 1 } }, { retention });
+    }
+  }
+  const raw = await readPoints(`${base}.jsonl`);
+  assert.ok(raw[0].t >= "2025-03-03", `oldest raw point ${raw[0].t}`);
+  assert.equal(raw.at(-1).v, 6);
+  // the rollups still cover the days whose raw points are gone
+  const daily = await readPoints(`${base}.daily.jsonl`);
+  assert.deepEqual(daily.map(b => [b.v, b.n]), [[1, 2], [2, 2], [3, 2], [4, 2], [5, 2], [6, 2]]);
+  assert.deepEqual(daily[0].m.change, { n: 2, v: 0, min: -1, max: 1 });
+  assert.equal((await readPoints(`${base}.hourly.jsonl`)).length, 12);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("compactSeries backfills rollups for old series and trims them by retention", async () => {
+  const dir = await tmpDir();
+  await fsp.mkdir(path.join(dir, "items"));
+  const base = path.join(dir, "series");
+  const legacy = ["2025-01-01T00:00:00.000Z", "2025-02-01T00:00:00.000Z", "2025-03-01T00:00:00.000Z"].map((t, i) => ({ t, v: i }));
+  await fsp.writeFile(`${base}.jsonl`, legacy.map(p => JSON.stringify(p)).join("\n") + "\n");
+  await fsp.writeFile(path.join(dir, "items", "abc.jsonl"), "");
+  assert.deepEqual(await seriesBases(dir), [base, path.join(dir, "items", "abc")]);
+
+  // first append to a series without rollups builds them from every raw point
+  await appendPoint(base, { t: "2025-03-01T01:00:00.000Z", v: 3 }, { retention: { rawDays: 0, hourlyDays: 0, dailyDays: 0 } });
+  assert.equal((await readPoints(`${base}.daily.jsonl`)).length, 3);
+
+  const counts = await compactSeries(base, { retention: { rawDays: 10, hourlyDays: 20, dailyDays: 45 }, now: new Date("2025-03-02T00:00:00Z") });
+  assert.deepEqual(counts, { raw: [4, 2], hourly: [4, 2], daily: [3, 2] });
+  assert.deepEqual((await readPoints(`${base}.daily.jsonl`)).map(b => b.t), ["2025-02-01T00:00:00.000Z", "2025-03-01T00:00:00.000Z"]);
+  await fsp.rm(dir, { recursive: true, force: true });
+});
+
+test("retentionFor: check config over env over defaults", () => {
+  assert.deepEqual(retentionFor({}, {}), { rawDays: 14, hourlyDays: 180, dailyDays: 0 });
+  assert.deepEqual(retentionFor({ retention: { rawDays: 3 } }, { TS_RAW_DAYS: "7", TS_DAILY_DAYS: "730" }), { rawDays: 3, hourlyDays: 180, dailyDays: 730 });
+});
+
+test("types report extra metrics next to the series value", () => {
+  const fields = { price: "$.p", change: "$.c", name: "$.n", pct: "$.pct" };
+  assert.deepEqual(pickedMetrics({ price: 5, change: -1, name: "x", pct: null }, {}, fields), { change: -1 });
+  assert.deepEqual(pickedMetrics({ price: 5, change: -1 }, { seriesKey: "change" }, fields), { price: 5 });
+  assert.deepEqual(stockQuote.metrics({ price: 10, change: 0.5, changePercent: 5 }), { change: 0.5, changePercent: 5 });
+  assert.deepEqual(stockQuote.itemMetrics({ quotes: { "BRK.B": { price: 1, change: 2, changePercent: 3 } } }), { "brk-b": { change: 2, changePercent: 3 } });
+});
@@ -0,0 +1,111 @@
+// test/visual.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { promises as fsp } from "fs";
+import { deflateSync } from "zlib";
+import os from "os";
+import path from "path";
+import { decodePng, encodePng } from "../src/lib/png.js";
+import { diffImages } from "../src/lib/pixeldiff.js";
+import visual, { compareScreenshot } from "../src/types/visual.js";
+import { checkState } from "../src/lib/state.js";
+import { getCheckType, listCheckTypes } from "../src/registry.js";
+import { validateChecks } from "../src/lib/validate.js";
+
+let tmp;
+before(async () => { tmp = await fsp.mkdtemp(path.join(os.tmpdir(), "visual-")); });
+after(() => fsp.rm(tmp, { recursive: true, force: true }));
+
+/** Solid RGBA image, with `paint` pixels (index list) turned black */
+function image(width, height, paint = []) {
+  const data = new Uint8Array(width * height * 4).fill(255);
+  for (const i of paint) data.set([0, 0, 0, 255], i * 4);
+  return { width, height, data };
+}
+
+test("encodePng / decodePng round-trip", () => {
+  const img = image(3, 2, [1, 4]);
+  const back = decodePng(encodePng(img));
+  assert.equal(back.width, 3);
+  assert.equal(back.height, 2);
+  assert.deepEqual([...back.data], [...img.data]);
+  assert.throws(() => decodePng(Buffer.from("GIF89a")), /not a PNG/);
+});
+
+test("decodePng undoes the row filters of an RGB image", () => {
+  // 2x2 RGB: row 0 filter 1 (sub), row 1 filter 2 (up)
+  const raw = Buffer.from([1, 10, 20, 30, 5, 5, 5, 2, 1, 1, 1, 0, 0, 0]);
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(2, 0); ihdr.writeUInt32BE(2, 4); ihdr[8] = 8; ihdr[9] = 2;
+  const chunk = (type, body) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32BE(body.length, 0);
+    head.write(type, 4, "latin1");
+    return Buffer.concat([head, body, Buffer.alloc(4)]);  // the decoder doesn't check CRCs
+  };
+  const png = Buffer.concat([encodePng(image(1, 1)).subarray(0, 8), chunk("IHDR", ihdr), chunk("IDAT", deflateSync(raw)), chunk("IEND", Buffer.alloc(0))]);
+  const { data } = decodePng(png);
+  assert.deepEqual([...data], [10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 15, 25, 35, 255]);
+});
+
+test("diffImages counts pixels past the tolerance and marks them red", () => {
+  const a = image(10, 10);
+  const b = image(10, 10, [0, 1, 2]);
+  b.data.set([250, 250, 250, 255], 50 * 4);  // faint noise stays under the tolerance
+  const { changedPixels, diffPct, image: out } = diffImages(a, b);
+  assert.equal(changedPixels, 3);
+  assert.equal(diffPct, 3);
+  assert.deepEqual([...out.data.subarray(0, 4)], [255, 0, 0, 255]);
+  assert.equal(diffImages(a, b, { tolerance: 0 }).changedPixels, 4);
+});
+
+test("diffImages compares different sizes over the larger canvas", () => {
+  const { changedPixels, diffPct, image: out } = diffImages(image(10, 8), image(10, 10));
+  assert.equal(changedPixels, 20);
+  assert.equal(diffPct, 20);
+  assert.equal(out.height, 10);
+});
+
+test("compareScreenshot keeps a baseline and flags changes over the threshold", async () => {
+  const state = checkState("shot", { dir: tmp });
+  const attached = [];
+  const ctx = { state, attach: (file) => attached.push(file) };
+  const check = { name: "shot", threshold: 1 };
+
+  const first = await compareScreenshot(encodePng(image(10, 10)), check, ctx);
+  assert.equal(first.diffPct, null);
+  assert.deepEqual(attached, ["screenshot.png"]);
+  assert.ok(await state.readBuffer("baseline.png"));
+
+  // one pixel in a hundred: not over the 1% threshold, nothing changes
+  const small = await compareScreenshot(encodePng(image(10, 10, [5])), check, ctx);
+  assert.equal(small.hash, first.hash);
+  assert.equal(small.diffPct, 1);
+  assert.equal(attached.length, 1);
+
+  // a second pixel on top, against the untouched baseline: flagged
+  const big = await compareScreenshot(encodePng(image(10, 10, [5, 6])), check, ctx);
+  assert.notEqual(big.hash, first.hash);
+  assert.equal(big.diffPct, 2);
+  assert.equal(big.diffImage, "state/shot/diff.png");
+  assert.deepEqual(attached.slice(1), ["screenshot.png", "diff.png"]);
+  assert.equal(decodePng(await state.readBuffer("diff.png")).width, 10);
+
+  // the next quiet run keeps pointing at that diff
+  const quiet = await compareScreenshot(encodePng(image(10, 10, [5, 6])), check, { ...ctx, prev: { data: big } });
+  assert.equal(quiet.hash, big.hash);
+  assert.equal(quiet.diffImage, big.diffImage);
+
+  assert.deepEqual(visual.describeChange(first, big), [
+    { key: "hash", path: "pixels", op: "changed", before: "baseline", after: "2% of pixels differ (state/shot/diff.png)" }
+  ]);
+});
+
+test("visual config rules", () => {
+  const types = listCheckTypes().map(d => d.type);
+  const check = (extra) => validateChecks([{ name: "v", type: "visual", url: "https://x.test/", ...extra }], getCheckType, types)
+    .map(p => `${p.path}: ${p.message}`);
+  assert.deepEqual(check({ selector: "main", mask: [".ad"], viewport: { width: 800, height: 600 }, threshold: 0.5 }), []);
+  assert.deepEqual(check({ tolerance: 2 }), ["tolerance: must be between 0 and 1"]);
+  assert.deepEqual(check({ selector: "main", fullPage: true }), ["fullPage: can't be combined with selector"]);
+});